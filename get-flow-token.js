@@ -1,525 +1,190 @@
-import { chromium } from 'playwright-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'fs';
-import { homedir } from 'os';
-import { join } from 'path';
-import admin from 'firebase-admin';
+#!/usr/bin/env node
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  processEmails,
+  createSink,
+  parseSinkFlag,
+  loadSinkConfig,
+  publishToSinks,
+  removeFromSinks,
+  loadOutbox,
+  replayOutbox,
+  purgeOutbox,
+  SECRET_FILES,
+  printResults,
+  printTokensJson,
+  printHistory,
+  loadHistory,
+  removeProfile,
+  clearAll,
+  loadAccountsArray,
+  saveAccountsArray,
+  selectAccounts,
+  accountLabels,
+  isEnabled,
+  passwordKind,
+  addAccount,
+  removeAccount,
+  setAccountEnabled,
+  importAccounts,
+  exportAccounts,
+  ACCOUNTS_FILE,
+  TOKENS_FILE,
+  HISTORY_FILE,
+  STORE_DB_FILE,
+  VAULT_FILE,
+  isVaultEnabled,
+  unlockVault,
+  initVault,
+  rotateVaultKey,
+  promptPassphrase,
+  PASSPHRASE_ENV,
+  KEYFILE_ENV,
+  logger,
+  configureLogger,
+  notify,
+  createScheduler,
+  validateSchedule,
+  localTimezone,
+  DEFAULT_SCHEDULE,
+  createExpiryScheduler,
+  parseDuration,
+  formatDuration,
+  isStale,
+  getToken,
+  remainingLifetime,
+  startTokenServer,
+  loadServerKey,
+  createRunLock,
+  sanitizeEmail,
+  DEFAULT_PORT,
+  buildRunReport,
+  writeRunReport,
+  exitCodeFor,
+  validateFailOn,
+  DEFAULT_FAIL_ON,
+  EXIT_USAGE,
+  setDataHome,
+  listEnvironments,
+  ENV_NAME,
+  acquireDaemonPidFile,
+  createHeartbeat,
+  daemonStatus,
+  formatDaemonStatus,
+  stopDaemon,
+  systemdUnit,
+  EXIT_NOT_RUNNING,
+  DEFAULT_SHUTDOWN_GRACE_MS,
+  DAEMON_LAUNCH_OPTIONS,
+  listAttention,
+  dismissAttention,
+  ATTENTION_ERRORS,
+  exportProfile,
+  importProfile,
+  readProfileArchiveHeader,
+  PROFILE_PASSPHRASE_ENV,
+  loadTokens,
+  storeType,
+  migrateStore,
+  withTokensResealed,
+  parseTimeoutFlag,
+  collectStatus,
+  filterStatus,
+  sortStatus,
+  statusRecords,
+  STATUS_COLUMNS,
+  printStatus,
+  toCsv,
+} from './index.js';
 
-// Add stealth plugin to avoid detection
-chromium.use(StealthPlugin());
-
-// Firebase initialization (lazy)
-let firebaseInitialized = false;
-let db = null;
-
-function initFirebase() {
-  if (firebaseInitialized) return;
-
-  const serviceAccountPath = join(AUTH_DIR, 'firebase-service-account.json');
-
-  if (!existsSync(serviceAccountPath)) {
-    throw new Error(`Firebase service account not found at: ${serviceAccountPath}\nDownload it from Firebase Console > Project Settings > Service Accounts`);
-  }
-
-  const serviceAccount = JSON.parse(readFileSync(serviceAccountPath, 'utf-8'));
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-
-  db = admin.firestore();
-  firebaseInitialized = true;
-  console.log('Firebase initialized');
-}
-
-async function pushToFirestore(results, collection = 'flow_tokens') {
-  initFirebase();
-
-  const successful = results.filter(r => r.success);
-  if (successful.length === 0) {
-    console.log('No successful results to push to Firestore');
-    return { success: false, pushed: 0 };
-  }
-
-  console.log(`\nPushing ${successful.length} records to Firestore collection: ${collection}...`);
-
-  const batch = db.batch();
-  const timestamp = admin.firestore.FieldValue.serverTimestamp();
-
-  for (const r of successful) {
-    // Use email as document ID (sanitized)
-    const docId = r.email.replace(/@/g, '_at_').replace(/\./g, '_');
-    const docRef = db.collection(collection).doc(docId);
-
-    batch.set(docRef, {
-      email: r.email,
-      token: r.token,
-      credits: r.credits,
-      tier: r.tier,
-      updatedAt: timestamp,
-    }, { merge: true });
-  }
-
-  try {
-    await batch.commit();
-    console.log(`Successfully pushed ${successful.length} records to Firestore`);
-    return { success: true, pushed: successful.length };
-  } catch (e) {
-    console.log(`Firestore push failed: ${e.message}`);
-    return { success: false, error: e.message };
-  }
-}
-
-const FLOW_URL = 'https://labs.google/fx/tools/flow';
-const API_PATTERN = /aisandbox-pa\.googleapis\.com/;
-const CREDITS_PATTERN = /aisandbox-pa\.googleapis\.com\/v1\/credits/;
-const AUTH_DIR = join(homedir(), '.flowkey-auto');
-const PROFILES_DIR = join(AUTH_DIR, 'profiles');
-const TOKENS_FILE = join(AUTH_DIR, 'tokens.json');
-const ACCOUNTS_FILE = join(AUTH_DIR, 'accounts.json');
-
-// Ensure directories exist
-if (!existsSync(AUTH_DIR)) {
-  mkdirSync(AUTH_DIR, { recursive: true });
-}
-if (!existsSync(PROFILES_DIR)) {
-  mkdirSync(PROFILES_DIR, { recursive: true });
-}
-
-function sanitizeEmail(email) {
-  return email.toLowerCase().trim();
-}
-
-function getProfileDir(email) {
-  const sanitized = sanitizeEmail(email).replace(/@/g, '_at_').replace(/\./g, '_');
-  return join(PROFILES_DIR, sanitized);
-}
+// CLI
+const args = process.argv.slice(2);
 
-function loadTokens() {
-  if (!existsSync(TOKENS_FILE)) return {};
-  try {
-    return JSON.parse(readFileSync(TOKENS_FILE, 'utf-8'));
-  } catch (e) {
-    return {};
+// --home and --env pick the data directory before anything touches it. They
+// are taken out of args so they can go anywhere, even before a subcommand.
+function takeGlobalFlag(flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) {
+    console.log(`${flag} requires a value`);
+    process.exit(1);
   }
+  args.splice(idx, 2);
+  return value;
 }
 
-function saveTokens(tokens) {
-  writeFileSync(TOKENS_FILE, JSON.stringify(tokens, null, 2));
-}
-
-function saveToken(email, token) {
-  const tokens = loadTokens();
-  tokens[sanitizeEmail(email)] = {
-    token,
-    updatedAt: new Date().toISOString(),
-  };
-  saveTokens(tokens);
+try {
+  setDataHome({ home: takeGlobalFlag('--home'), env: takeGlobalFlag('--env') });
+} catch (e) {
+  console.log(e.message);
+  process.exit(1);
 }
 
-function getToken(email) {
-  const tokens = loadTokens();
-  return tokens[sanitizeEmail(email)];
+try {
+  configureLogger({
+    level: args.includes('--log-level') ? args[args.indexOf('--log-level') + 1] : undefined,
+    format: args.includes('--log-format') ? args[args.indexOf('--log-format') + 1] : undefined,
+    revealTokens: args.includes('--reveal-tokens'),
+  });
+} catch (e) {
+  console.log(e.message);
+  process.exit(1);
 }
 
-function removeProfile(email) {
-  const profileDir = getProfileDir(email);
-  if (existsSync(profileDir)) {
-    rmSync(profileDir, { recursive: true, force: true });
+const notifyEnabled = args.includes('--notify');
+const diagnostics = args.includes('--diagnostics');
+const group = args.includes('--group') ? args[args.indexOf('--group') + 1] : null;
+
+let onlyStaleMs = null;
+let tokenLifetimeMs;
+const timeouts = {};
+let deadlineMs;
+let failOn = DEFAULT_FAIL_ON;
+const reportFile = args.includes('--report') ? args[args.indexOf('--report') + 1] : null;
+const runStartedAt = new Date();
+try {
+  if (args.includes('--fail-on')) {
+    failOn = validateFailOn(args[args.indexOf('--fail-on') + 1]);
   }
-  const tokens = loadTokens();
-  delete tokens[sanitizeEmail(email)];
-  saveTokens(tokens);
-}
-
-function listProfiles() {
-  const tokens = loadTokens();
-  return Object.entries(tokens).map(([email, data]) => ({
-    email,
-    token: data.token,
-    updatedAt: data.updatedAt,
-  }));
-}
-
-function loadAccounts() {
-  if (!existsSync(ACCOUNTS_FILE)) return {};
-  try {
-    const accounts = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
-    // Convert array to object keyed by email
-    const map = {};
-    for (const acc of accounts) {
-      map[sanitizeEmail(acc.email)] = acc.password;
-    }
-    return map;
-  } catch (e) {
-    return {};
+  if (args.includes('--only-stale')) {
+    onlyStaleMs = parseDuration(args[args.indexOf('--only-stale') + 1]);
   }
-}
-
-function saveAccountsArray(accounts) {
-  writeFileSync(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2));
-}
-
-async function getFlowToken(email, options = {}) {
-  const { headless = false, forceLogin = false, password = null } = options;
-  const profileDir = getProfileDir(email);
-  const hasProfile = existsSync(profileDir);
-
-  console.log(`\n[${email}] Starting...`);
-  console.log(`[${email}] Profile: ${hasProfile ? 'exists' : 'new'}`);
-
-  if (forceLogin && hasProfile) {
-    console.log(`[${email}] Force login - removing old profile`);
-    removeProfile(email);
+  if (args.includes('--token-lifetime')) {
+    tokenLifetimeMs = parseDuration(args[args.indexOf('--token-lifetime') + 1]);
   }
-
-  const context = await chromium.launchPersistentContext(getProfileDir(email), {
-    headless,
-    channel: 'chrome',
-    args: [
-      '--disable-blink-features=AutomationControlled',
-      '--no-first-run',
-      '--no-default-browser-check',
-    ],
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    viewport: { width: 1280, height: 800 },
-    ignoreDefaultArgs: ['--enable-automation'],
+  args.forEach((arg, idx) => {
+    if (arg === '--phase-timeout') Object.assign(timeouts, parseTimeoutFlag(args[idx + 1]));
   });
-
-  let page = context.pages()[0] || await context.newPage();
-
-  let capturedToken = null;
-  let capturedCredits = null;
-  let tokenResolve;
-  const tokenPromise = new Promise((resolve) => {
-    tokenResolve = resolve;
-  });
-
-  // Intercept requests to capture token
-  await context.route('**/*', async (route) => {
-    const request = route.request();
-    const url = request.url();
-
-    if (API_PATTERN.test(url)) {
-      const headers = request.headers();
-      const authHeader = headers['authorization'];
-
-      if (authHeader && authHeader.startsWith('Bearer ') && !capturedToken) {
-        capturedToken = authHeader.replace('Bearer ', '');
-        console.log(`[${email}] Token captured!`);
-        console.log(`[${email}] Token: ${capturedToken}`);
-        tokenResolve(capturedToken);
-      }
-    }
-
-    await route.continue();
-  });
-
-  // Listen for credits response
-  page.on('response', async (response) => {
-    const url = response.url();
-    if (CREDITS_PATTERN.test(url) && response.status() === 200) {
-      try {
-        const data = await response.json();
-        if (data.credits !== undefined) {
-          capturedCredits = data;
-          console.log(`[${email}] Credits: ${data.credits} (${data.userPaygateTier || 'unknown tier'})`);
-        }
-      } catch (e) {
-        // Ignore JSON parse errors
-      }
-    }
-  });
-
-  // Navigate to Flow
-  console.log(`[${email}] Opening Flow...`);
-  try {
-    await page.goto(FLOW_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  } catch (e) {
-    console.log(`[${email}] Navigation timeout, continuing...`);
-  }
-
-  await page.waitForTimeout(500);
-
-  // Try to click "Create with Flow" or similar button to trigger login
-  console.log(`[${email}] Looking for login trigger button...`);
-
-  const buttonSelectors = [
-    'button:has-text("Create with Flow")',
-    'button:has-text("Create")',
-    'button:has-text("Sign in")',
-    'button:has-text("Get started")',
-    'button:has-text("Start")',
-    'a:has-text("Sign in")',
-    '[data-action="sign-in"]',
-  ];
-
-  let clickedButton = false;
-  for (const selector of buttonSelectors) {
-    try {
-      const button = await page.$(selector);
-      if (button && await button.isVisible()) {
-        console.log(`[${email}] Clicking: ${selector}`);
-        await button.click();
-        clickedButton = true;
-        break;
-      }
-    } catch (e) {
-      // Continue to next selector
-    }
-  }
-
-  if (!clickedButton) {
-    // Try clicking any prominent button
-    try {
-      const buttons = await page.$$('button');
-      for (const btn of buttons) {
-        const text = await btn.textContent().catch(() => '');
-        const isVisible = await btn.isVisible().catch(() => false);
-        if (isVisible && text && (text.includes('Create') || text.includes('Sign') || text.includes('Start'))) {
-          console.log(`[${email}] Clicking: "${text.trim()}"`);
-          await btn.click();
-          clickedButton = true;
-          break;
-        }
-      }
-    } catch (e) {
-      // Ignore
-    }
-  }
-
-  // Wait for redirect to login
-  await page.waitForTimeout(1500);
-
-  let currentUrl = page.url();
-  console.log(`[${email}] Current URL: ${currentUrl}`);
-
-  // Check if redirected to Google login
-  const needsLogin = currentUrl.includes('accounts.google.com') ||
-                     currentUrl.includes('/signin') ||
-                     currentUrl.includes('authui');
-
-  if (needsLogin) {
-    if (headless) {
-      console.log(`[${email}] Login required - cannot proceed in headless mode`);
-      console.log(`[${email}] Run without --headless to login manually`);
-      await context.close();
-      return { email, success: false, error: 'login_required' };
-    }
-
-    // Pre-fill email with human-like typing
-    try {
-      await page.waitForSelector('input[type="email"]', { timeout: 3000 });
-      console.log(`[${email}] Entering email...`);
-
-      // Click and type like a human
-      await page.click('input[type="email"]');
-      await page.waitForTimeout(200 + Math.random() * 300);
-      await page.type('input[type="email"]', email, { delay: 50 + Math.random() * 50 });
-      await page.waitForTimeout(300 + Math.random() * 400);
-      await page.keyboard.press('Enter');
-      await page.waitForTimeout(2500 + Math.random() * 1000);
-
-      // Pre-fill password if provided
-      if (password) {
-        try {
-          await page.waitForSelector('input[type="password"]', { timeout: 5000 });
-          console.log(`[${email}] Entering password...`);
-
-          await page.click('input[type="password"]');
-          await page.waitForTimeout(200 + Math.random() * 300);
-          await page.type('input[type="password"]', password, { delay: 50 + Math.random() * 50 });
-          await page.waitForTimeout(300 + Math.random() * 400);
-          await page.keyboard.press('Enter');
-          console.log(`[${email}] Credentials submitted, waiting for login...`);
-        } catch (e) {
-          console.log(`[${email}] Password field not found, please enter manually`);
-        }
-      } else {
-        console.log(`[${email}] Email entered - please enter password manually...`);
-      }
-    } catch (e) {
-      console.log(`[${email}] Could not pre-fill email, please login manually`);
-    }
-
-    console.log(`[${email}] Waiting for login...`);
-
-    try {
-      await page.waitForURL((url) => {
-        const urlStr = url.toString();
-        return urlStr.includes('labs.google/fx') &&
-               !urlStr.includes('signin') &&
-               !urlStr.includes('accounts.google.com');
-      }, { timeout: 300000 });
-
-      console.log(`[${email}] Login successful!`);
-      await page.waitForTimeout(3000);
-    } catch (e) {
-      console.log(`[${email}] Login timeout or cancelled`);
-      await context.close();
-      return { email, success: false, error: 'login_timeout' };
-    }
-  } else {
-    // Check if we're logged in by looking for user avatar or account menu
-    const loggedInIndicators = [
-      'img[alt*="avatar"]',
-      'img[alt*="profile"]',
-      '[aria-label*="Account"]',
-      '[aria-label*="Google Account"]',
-    ];
-
-    let isLoggedIn = false;
-    for (const selector of loggedInIndicators) {
-      try {
-        const el = await page.$(selector);
-        if (el && await el.isVisible()) {
-          isLoggedIn = true;
-          break;
-        }
-      } catch (e) {}
-    }
-
-    if (isLoggedIn) {
-      console.log(`[${email}] Already logged in!`);
-    } else {
-      // Not redirected to login, but might not be logged in
-      // Wait and see if token gets captured
-      console.log(`[${email}] Checking login status...`);
-    }
-  }
-
-  // Wait for token
-  if (!capturedToken) {
-    console.log(`[${email}] Waiting for API request to capture token...`);
-
-    // Try to trigger API call
-    try {
-      await page.waitForLoadState('networkidle', { timeout: 10000 });
-      await page.evaluate(() => window.scrollBy(0, 100));
-      await page.waitForTimeout(2000);
-    } catch (e) {}
-
-    // Wait with timeout
-    const timeout = new Promise((resolve) => setTimeout(() => resolve(null), 30000));
-    await Promise.race([tokenPromise, timeout]);
-  }
-
-  // If still no token, wait longer for manual interaction
-  if (!capturedToken && !headless) {
-    console.log(`[${email}] No token yet - interact with the page to trigger API calls`);
-    console.log(`[${email}] Waiting up to 2 more minutes...`);
-
-    const extendedTimeout = new Promise((resolve) => setTimeout(() => resolve(null), 120000));
-    await Promise.race([tokenPromise, extendedTimeout]);
-  }
-
-  await context.close();
-
-  if (capturedToken) {
-    saveToken(email, capturedToken);
-    console.log(`[${email}] Token saved!`);
-    return {
-      email,
-      success: true,
-      token: capturedToken,
-      credits: capturedCredits?.credits ?? null,
-      tier: capturedCredits?.userPaygateTier ?? null,
-    };
-  } else {
-    console.log(`[${email}] Failed to capture token`);
-    return { email, success: false, error: 'no_token' };
+  if (args.includes('--deadline')) {
+    deadlineMs = parseDuration(args[args.indexOf('--deadline') + 1]);
   }
+} catch (e) {
+  console.log(e.message);
+  process.exit(1);
 }
 
-async function processEmails(emails, options = {}) {
-  const results = [];
-  const accounts = loadAccounts();
-
-  for (const email of emails) {
-    const password = accounts[sanitizeEmail(email)] || null;
-    const result = await getFlowToken(email, { ...options, password });
-    results.push(result);
-  }
-
-  return results;
+// With --only-stale, drop accounts whose token outlives the given window
+function selectStale(emails) {
+  if (onlyStaleMs === null) return emails;
+  return emails.filter((email) => {
+    if (isStale(email, onlyStaleMs)) return true;
+    const remaining = remainingLifetime(getToken(email));
+    logger.info(`Skipping ${email} (token valid for ${formatDuration(remaining)})`);
+    return false;
+  });
 }
 
-async function submitToApi(endpoint, results) {
-  const successful = results.filter(r => r.success);
-
-  if (successful.length === 0) {
-    console.log('\nNo tokens to submit');
-    return;
-  }
-
-  console.log(`\nSubmitting ${successful.length} tokens to ${endpoint}...`);
-
-  const payload = successful.map(r => ({
-    email: r.email,
-    token: r.token,
-    credits: r.credits,
-    tier: r.tier,
-  }));
-
+async function runNotifiers(results) {
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-
-    if (response.ok) {
-      console.log('API submission successful!');
-      const data = await response.json().catch(() => ({}));
-      return { success: true, data };
-    } else {
-      console.log(`API error: ${response.status} ${response.statusText}`);
-      return { success: false, status: response.status };
-    }
+    await notify(results);
   } catch (e) {
-    console.log(`API request failed: ${e.message}`);
-    return { success: false, error: e.message };
+    logger.warn(`Notifications failed: ${e.message}`);
   }
 }
 
-function printResults(results) {
-  console.log('\n' + '='.repeat(60));
-  console.log('RESULTS');
-  console.log('='.repeat(60));
-
-  for (const r of results) {
-    if (r.success) {
-      const creditsInfo = r.credits !== null ? ` | Credits: ${r.credits}` : '';
-      const tierInfo = r.tier ? ` (${r.tier})` : '';
-      console.log(`✓ ${r.email}${creditsInfo}${tierInfo}`);
-    } else {
-      console.log(`✗ ${r.email}: ${r.error}`);
-    }
-  }
-
-  const successful = results.filter(r => r.success).length;
-  const totalCredits = results.filter(r => r.success && r.credits !== null).reduce((sum, r) => sum + r.credits, 0);
-
-  console.log(`\n${successful}/${results.length} succeeded`);
-  if (totalCredits > 0) {
-    console.log(`Total credits: ${totalCredits}`);
-  }
-}
-
-function printTokensJson(results) {
-  const successful = results.filter(r => r.success);
-  const output = successful.map(r => ({
-    email: r.email,
-    token: r.token,
-    credits: r.credits,
-    tier: r.tier,
-  }));
-  console.log(JSON.stringify(output, null, 2));
-}
-
-// CLI
-const args = process.argv.slice(2);
-
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
 Google Flow Token Extractor
@@ -527,8 +192,13 @@ Google Flow Token Extractor
 Usage:
   node get-flow-token.js <email1> [email2] ...    Get tokens for emails
   node get-flow-token.js --all                    Get tokens for ALL accounts in accounts.json
-  node get-flow-token.js --daemon                 Run as daemon (daily at midnight)
-  node get-flow-token.js --list                   List all saved tokens
+  node get-flow-token.js --daemon                 Run as daemon (cron schedule, daily at midnight by default)
+  node get-flow-token.js daemon <action>          Daemon status, stop, or a systemd unit (see Daemon below)
+  node get-flow-token.js profile <action>         Export or import a browser profile (see Profiles below)
+  node get-flow-token.js store [info|migrate]     Show or change where tokens and history are kept
+  node get-flow-token.js --list                   Status of every account (profile, token age, credits, last error)
+  node get-flow-token.js --attend                 Log in by hand to accounts that need attention
+  node get-flow-token.js --history <email>        Show run history for email
   node get-flow-token.js --accounts-init          Create sample accounts.json
   node get-flow-token.js --refresh <email>        Force re-login for email
   node get-flow-token.js --remove <email>         Remove saved profile
@@ -536,17 +206,92 @@ Usage:
 
 Options:
   --all                   Run all accounts from accounts.json (sequential)
+  --group <label>         With --all, --attend or --daemon, only run accounts with this label (--list: only show them)
   --daemon                Run as background daemon, refresh daily at midnight
+  --schedule <cron>       Daemon cron expression (default: "0 0 * * *")
+  --timezone <tz>         IANA timezone for --schedule (default: system timezone)
+  --no-catch-up           Skip runs missed while the daemon was stopped or asleep
+  --before-expiry <dur>   Daemon refreshes each token this long before it expires (e.g. 10m)
+  --shutdown-grace <dur>  On SIGTERM/SIGINT, let the account in progress finish for this long (default: 30s)
+  --serve                 Daemon also serves tokens over HTTP on localhost
+  --port <port>           Port for --serve (default: 8787)
+  --host <host>           Bind address for --serve (default: 127.0.0.1)
+  --only-stale <dur>      Only refresh accounts with no token or one expiring within <dur>
+  --token-lifetime <dur>  Assumed token lifetime for expiry estimates (default: 1h)
   --headless              Run in headless mode (only works if already logged in)
-  --json                  Output tokens as JSON
+  --phase-timeout <p>=<dur>  Override one phase's timeout (repeatable): navigation, pageReady, redirect,
+                          emailField, emailSubmit, passwordField, login, settle, networkIdle, apiTrigger,
+                          token or manual, e.g. login=2m
+  --deadline <dur>        Give up on an account after this long in total (error deadline_exceeded)
+  --diagnostics           Save a screenshot, page HTML, console errors and network log for failed accounts
+  --fail-on <policy>      Exit 2 when accounts fail: any (default), all, or none
+  --report <file>         Write a JSON run report with per-account outcome and timings
+  --json                  Output tokens as JSON (with --list: the status rows)
+  --csv                   With --list, output the status rows as CSV
   --submit <url>          Submit tokens to API endpoint
+  --submit-header <h>     Extra request header "Name: value" (repeatable, \${ENV} is expanded)
+  --submit-method <m>     HTTP method for --submit (default: POST)
+  --submit-template <f>   JSON body template file for --submit
+  --submit-timeout <dur>  Request timeout for --submit (default: 30s)
   --firestore-push        Push results to Firestore
   --firestore-collection  Firestore collection name (default: flow_tokens)
+  --firestore-credentials <path>  Service account JSON for --firestore-push
+  --firestore-history     Also add a document per run to each account's history subcollection
+  --sink <type>[=<value>] Publish results to a sink (repeatable): api=<url>, firestore[=<collection>],
+                          file=<path>, command=<shell command>. Replaces sinks.json
+  --outbox [action] [id]  Failed sink deliveries: list (default), retry (now) or purge
+  --notify                Send low-credit/failure alerts using notifiers.json
   --refresh               Force re-login (remove existing profile first)
-  --list                  List all saved tokens
+  --list                  Account status table: profile, token age, expiry, credits, last run and error
+  --failed                With --list, only accounts whose last run failed
+  --older-than <dur>      With --list, only accounts with no token or one older than <dur> (e.g. 12h)
+  --sort <key>            With --list: email (default), status, age, expires, credits or last-run
+  --reverse               With --list, reverse the sort order
+  --attend                Log in (headed) to the accounts queued as needing attention, one by one
+  --history <email>       Show run history, credits trend and failure streaks
   --accounts-init         Create sample accounts.json file
   --remove <email>        Remove a specific profile
   --clear                 Remove all profiles and tokens
+  --vault-init            Encrypt accounts.json, tokens.json and outbox.json with a passphrase or keyfile
+  --vault-rotate          Re-encrypt the vault under a new passphrase or keyfile
+  --home <dir>            Data directory (default: $FLOWKEY_HOME or ~/.flowkey-auto)
+  --env <name>            Use the named environment under <home>/envs/<name> ($FLOWKEY_ENV)
+  --envs                  List the environments under the data directory
+  --log-level <level>     debug, info, warn, error or silent (default: info)
+  --log-format <format>   text or json (default: text)
+  --reveal-tokens         Print full tokens in logs (masked by default)
+
+Vault (encrypted accounts.json / tokens.json):
+  Unlock with ${PASSPHRASE_ENV}=<passphrase> or ${KEYFILE_ENV}=<path>,
+  otherwise the passphrase is prompted for on the terminal.
+  --vault-rotate reads the new secret from FLOWKEY_VAULT_NEW_PASSPHRASE or
+  FLOWKEY_VAULT_NEW_KEYFILE, or prompts for it.
+
+Daemon:
+  daemon status [--json]                Is it running, current/last/next run (exits 3 if not running)
+  daemon stop [--timeout <dur>] [--now] Shut it down; --now cancels the account in progress
+  daemon unit [--user] [--output <file>] [daemon options...]
+                                        Write a systemd unit running --daemon with these options
+
+Profiles:
+  profile export <email> [file] [--encrypt]       Bundle the login session into an archive
+  profile import <file> [--email <email>] [--force] [--no-validate]
+                                                  Restore it here, then check it with a headless run
+  --encrypt and encrypted imports read the passphrase from ${PROFILE_PASSPHRASE_ENV}
+  or prompt for it.
+
+Store (tokens and run history):
+  store info                            Backend in use (json or sqlite) and what it holds
+  store migrate --to <json|sqlite>      Copy tokens and history into the other backend and switch to it
+
+Exit codes:
+  0  Success (or failures allowed by --fail-on)
+  1  Usage or setup error
+  2  Accounts failed (--fail-on any: at least one, all: every account)
+
+Signed submissions:
+  When FLOWKEY_SUBMIT_SECRET is set, --submit requests carry X-Flowkey-Timestamp
+  and X-Flowkey-Signature (t=<ts>,v1=<HMAC-SHA256 of "<ts>.<body>">) headers.
 
 Accounts File (auto-fills email + password):
   Create ~/.flowkey-auto/accounts.json with:
@@ -554,6 +299,10 @@ Accounts File (auto-fills email + password):
     { "email": "user1@gmail.com", "password": "pass1" },
     { "email": "user2@gmail.com", "password": "pass2" }
   ]
+  Instead of "password", an entry may reference its secret with
+  "passwordEnv" (env var name), "passwordFile" (path) or
+  "passwordCommand" (shell command whose stdout is the password).
+  References are resolved only when the password field is reached.
 
 Examples:
   # Setup accounts file first
@@ -585,21 +334,157 @@ Examples:
   node get-flow-token.js --daemon
   node get-flow-token.js --daemon --submit https://api.example.com/tokens
 
+  # Run as daemon every 6 hours, New York time
+  node get-flow-token.js --daemon --schedule "0 */6 * * *" --timezone America/New_York
+
   # Push to Firestore
   node get-flow-token.js --all --firestore-push
   node get-flow-token.js --all --firestore-push --firestore-collection my_collection
-  node get-flow-token.js --daemon --firestore-push
+  node get-flow-token.js --daemon --firestore-push --firestore-history
 
-Files:
+Files (under --home, or <home>/envs/<name> with --env):
   ~/.flowkey-auto/accounts.json              Email + password pairs (optional)
   ~/.flowkey-auto/profiles/                  Browser profiles per email
   ~/.flowkey-auto/tokens.json                All captured tokens
-  ~/.flowkey-auto/firebase-service-account.json  Firebase service account (for --firestore-push)
+  ~/.flowkey-auto/store.db                   Tokens and run history, with the sqlite store
+  ~/.flowkey-auto/outbox.json                Failed sink deliveries awaiting retry
+  ~/.flowkey-auto/sinks.json                 Default output sinks (when no --sink flags are given)
+  ~/.flowkey-auto/notifiers.json             Alert notifiers and rules (for --notify)
+  ~/.flowkey-auto/server-key                 API key for --serve (unless FLOWKEY_SERVER_KEY is set)
+  ~/.flowkey-auto/vault.json                 Vault salt and key check (when encrypted)
+  ~/.flowkey-auto/diagnostics/               Failure bundles (with --diagnostics, newest 5 per account)
+  ~/.flowkey-auto/firebase-service-account.json  Firebase service account (for --firestore-push;
+                                             GOOGLE_APPLICATION_CREDENTIALS is used if it is missing)
 `);
   process.exit(0);
 }
 
+async function askNewPassphrase(what = 'vault passphrase') {
+  const passphrase = await promptPassphrase(`New ${what}: `);
+  const confirm = await promptPassphrase('Confirm passphrase: ');
+  if (!passphrase || passphrase !== confirm) {
+    console.log('Passphrases do not match');
+    process.exit(1);
+  }
+  return passphrase;
+}
+
+if (args.includes('--envs')) {
+  const envs = listEnvironments();
+  if (envs.length === 0) {
+    console.log('No environments yet (create one by running any command with --env <name>)');
+  }
+  for (const name of envs) {
+    console.log(`${name === ENV_NAME ? '*' : ' '} ${name}`);
+  }
+  process.exit(0);
+}
+
+if (args[0] === 'daemon') {
+  const action = args[1] && !args[1].startsWith('--') ? args[1] : 'status';
+  const optionValue = (flag) => args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+
+  try {
+    if (action === 'status') {
+      const status = daemonStatus();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(status, null, 2));
+      } else {
+        console.log(formatDaemonStatus(status));
+      }
+      process.exit(status.running ? 0 : EXIT_NOT_RUNNING);
+    } else if (action === 'stop') {
+      const timeoutMs = args.includes('--timeout') ? parseDuration(optionValue('--timeout')) : undefined;
+      console.log('Stopping daemon...');
+      const { stopped, pid } = await stopDaemon({ timeoutMs, now: args.includes('--now') });
+      console.log(stopped ? `Daemon (pid ${pid}) stopped` : 'Daemon is not running');
+    } else if (action === 'unit') {
+      const output = optionValue('--output');
+      // Everything after "daemon unit" except its own flags goes to the daemon
+      const daemonArgs = args.slice(2).filter((arg, i, rest) => arg !== '--user' && arg !== '--output' && rest[i - 1] !== '--output');
+      const unit = systemdUnit({
+        script: fileURLToPath(import.meta.url),
+        daemonArgs,
+        user: args.includes('--user'),
+        graceMs: args.includes('--shutdown-grace') ? parseDuration(optionValue('--shutdown-grace')) : undefined,
+      });
+      if (output) {
+        writeFileSync(output, unit);
+        const name = basename(output, '.service');
+        console.log(`Wrote ${output}`);
+        console.log(`Enable it with: systemctl${args.includes('--user') ? ' --user' : ''} daemon-reload && systemctl${args.includes('--user') ? ' --user' : ''} enable --now ${name}`);
+      } else {
+        process.stdout.write(unit);
+      }
+    } else {
+      console.log('Usage: node get-flow-token.js daemon [status|stop|unit]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (args.includes('--vault-init')) {
+  try {
+    const secret = process.env[PASSPHRASE_ENV] || process.env[KEYFILE_ENV]
+      ? {}
+      : { passphrase: await askNewPassphrase() };
+    const migrated = withTokensResealed(() => initVault(SECRET_FILES, secret));
+    console.log(`Created vault: ${VAULT_FILE}`);
+    for (const file of migrated) {
+      console.log(`  Encrypted ${file}`);
+    }
+    if (storeType() === 'sqlite') console.log(`  Encrypted the tokens in ${STORE_DB_FILE}`);
+  } catch (e) {
+    console.log(`Vault init failed: ${e.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+// Unlock the vault before anything reads or writes accounts/tokens. The key
+// stays in memory, so the daemon only needs it once at startup.
+if (isVaultEnabled()) {
+  try {
+    if (process.env[PASSPHRASE_ENV] || process.env[KEYFILE_ENV]) {
+      unlockVault();
+    } else {
+      unlockVault({ passphrase: await promptPassphrase('Vault passphrase: ') });
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+}
+
+if (args.includes('--vault-rotate')) {
+  try {
+    const newSecret = {
+      passphrase: process.env.FLOWKEY_VAULT_NEW_PASSPHRASE,
+      keyFile: process.env.FLOWKEY_VAULT_NEW_KEYFILE,
+    };
+    if (!newSecret.passphrase && !newSecret.keyFile) {
+      newSecret.passphrase = await askNewPassphrase();
+    }
+    const rotated = withTokensResealed(() => rotateVaultKey(SECRET_FILES, newSecret));
+    console.log(`Rotated vault key (${rotated.length} file(s) re-encrypted)`);
+    if (storeType() === 'sqlite') console.log(`  Re-encrypted the tokens in ${STORE_DB_FILE}`);
+  } catch (e) {
+    console.log(`Vault rotate failed: ${e.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
 if (args.includes('--accounts-init')) {
+  if (existsSync(ACCOUNTS_FILE)) {
+    console.log(`${ACCOUNTS_FILE} already exists, not overwriting it.`);
+    console.log('Use "node get-flow-token.js accounts add <email>" to add accounts.');
+    process.exit(1);
+  }
   const sample = [
     { email: 'user1@gmail.com', password: 'password1' },
     { email: 'user2@gmail.com', password: 'password2' },
@@ -610,189 +495,624 @@ if (args.includes('--accounts-init')) {
   process.exit(0);
 }
 
+// accounts add|remove|enable|disable|list|import|export
+if (args[0] === 'accounts') {
+  const action = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+  const operand = args[2] && !args[2].startsWith('--') ? args[2] : null;
+  const optionValue = (flag) => args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+  const requireOperand = (usage) => {
+    if (!operand) {
+      console.log(`Usage: node get-flow-token.js accounts ${usage}`);
+      process.exit(1);
+    }
+    return operand;
+  };
+
+  try {
+    if (action === 'list') {
+      const accounts = existsSync(ACCOUNTS_FILE) ? loadAccountsArray() : [];
+      const group = optionValue('--group');
+      const shown = group ? accounts.filter(a => accountLabels(a).includes(group)) : accounts;
+      if (args.includes('--json')) {
+        process.stdout.write(exportAccounts(shown));
+      } else if (shown.length === 0) {
+        console.log(group ? `No accounts labelled "${group}"` : 'No accounts');
+      } else {
+        console.log(`Accounts${group ? ` labelled "${group}"` : ''}:\n`);
+        for (const a of shown) {
+          const labels = accountLabels(a).length > 0 ? `  [${accountLabels(a).join(', ')}]` : '';
+          console.log(`  ${isEnabled(a) ? '✓' : '✗'} ${a.email}${isEnabled(a) ? '' : ' (disabled)'}${labels}`);
+          console.log(`    Password: ${passwordKind(a) ?? 'none (manual login)'}`);
+          if (a.schedule) console.log(`    Schedule: ${a.schedule}`);
+          if (a.notes) console.log(`    Notes: ${a.notes}`);
+          console.log('');
+        }
+      }
+    } else if (action === 'add') {
+      const email = requireOperand('add <email> [--labels a,b] [--notes text] [--disabled] [--password-env VAR | --password-file PATH | --password-command CMD | --password-prompt] [--update]');
+      const account = {
+        email,
+        passwordEnv: optionValue('--password-env'),
+        passwordFile: optionValue('--password-file'),
+        passwordCommand: optionValue('--password-command'),
+        labels: optionValue('--labels'),
+        notes: optionValue('--notes'),
+        enabled: args.includes('--disabled') ? false : undefined,
+      };
+      if (args.includes('--password-prompt')) {
+        account.password = await promptPassphrase(`Password for ${email}: `);
+      }
+      const outcome = addAccount(account, { update: args.includes('--update') });
+      console.log(`${outcome === 'added' ? 'Added' : 'Updated'} ${email}`);
+    } else if (action === 'remove') {
+      const email = requireOperand('remove <email>');
+      if (!removeAccount(email)) {
+        console.log(`${email} is not in accounts.json`);
+        process.exit(1);
+      }
+      dismissAttention(email);
+      console.log(`Removed ${email} from accounts.json (its profile and token are kept; use --remove to delete them)`);
+    } else if (action === 'enable' || action === 'disable') {
+      const email = requireOperand(`${action} <email>`);
+      if (!setAccountEnabled(email, action === 'enable')) {
+        console.log(`${email} is not in accounts.json`);
+        process.exit(1);
+      }
+      console.log(`${action === 'enable' ? 'Enabled' : 'Disabled'} ${email}`);
+    } else if (action === 'import') {
+      const file = requireOperand('import <file.csv|file.json> [--format csv|json] [--skip-existing]');
+      const format = optionValue('--format') ?? (file.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+      const { added, updated, skipped } = importAccounts(readFileSync(file, 'utf-8'), {
+        format,
+        skipExisting: args.includes('--skip-existing'),
+      });
+      console.log(`Imported ${file}: ${added} added, ${updated} updated, ${skipped} skipped`);
+    } else if (action === 'export') {
+      const format = optionValue('--format') ?? (operand?.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+      const output = exportAccounts(existsSync(ACCOUNTS_FILE) ? loadAccountsArray() : [], {
+        format,
+        withPasswords: args.includes('--with-passwords'),
+      });
+      if (operand) {
+        writeFileSync(operand, output, { mode: 0o600 });
+        console.log(`Exported accounts to ${operand}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } else {
+      console.log('Usage: node get-flow-token.js accounts [list|add|remove|enable|disable|import|export]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (args[0] === 'store') {
+  const action = args[1] && !args[1].startsWith('--') ? args[1] : 'info';
+  try {
+    if (action === 'info') {
+      const type = storeType();
+      console.log(`Store: ${type} (${type === 'sqlite' ? STORE_DB_FILE : `${TOKENS_FILE}, ${HISTORY_FILE}`})`);
+      console.log(`  ${Object.keys(loadTokens()).length} token(s), ${loadHistory().length} history entries`);
+    } else if (action === 'migrate') {
+      const to = args.includes('--to') ? args[args.indexOf('--to') + 1] : null;
+      if (!to || to.startsWith('--')) {
+        console.log('Usage: node get-flow-token.js store migrate --to <json|sqlite>');
+        process.exit(1);
+      }
+      const migrated = migrateStore(to);
+      console.log(`Migrated ${migrated.tokens} token(s) and ${migrated.history} history entries from ${migrated.from} to ${migrated.to}`);
+      for (const file of migrated.removed) {
+        console.log(`  Removed ${file}`);
+      }
+    } else {
+      console.log('Usage: node get-flow-token.js store [info|migrate --to <json|sqlite>]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+// Output sinks: --sink flags (and the --submit / --firestore-push shorthands)
+// replace the sinks configured in ~/.flowkey-auto/sinks.json
+let sinks = [];
+try {
+  const specs = [];
+  args.forEach((arg, idx) => {
+    if (arg === '--sink') specs.push(parseSinkFlag(args[idx + 1]));
+  });
+  if (args.includes('--submit')) {
+    const url = args[args.indexOf('--submit') + 1];
+    if (!url || url.startsWith('--')) {
+      throw new Error('Usage: node get-flow-token.js <emails> --submit <url>');
+    }
+    const spec = { type: 'api', url };
+    const headers = {};
+    args.forEach((arg, idx) => {
+      if (arg !== '--submit-header') return;
+      const header = args[idx + 1] || '';
+      const sep = header.indexOf(':');
+      if (sep <= 0) throw new Error('Usage: --submit-header "Name: value"');
+      headers[header.slice(0, sep).trim()] = header.slice(sep + 1).trim();
+    });
+    if (Object.keys(headers).length > 0) spec.headers = headers;
+    if (args.includes('--submit-method')) spec.method = args[args.indexOf('--submit-method') + 1].toUpperCase();
+    if (args.includes('--submit-template')) spec.template = args[args.indexOf('--submit-template') + 1];
+    if (args.includes('--submit-timeout')) spec.timeoutMs = parseDuration(args[args.indexOf('--submit-timeout') + 1]);
+    specs.push(spec);
+  }
+  if (args.includes('--firestore-push')) {
+    const collection = args.includes('--firestore-collection')
+      ? args[args.indexOf('--firestore-collection') + 1]
+      : 'flow_tokens';
+    const spec = { type: 'firestore', collection };
+    if (args.includes('--firestore-credentials')) spec.serviceAccount = args[args.indexOf('--firestore-credentials') + 1];
+    if (args.includes('--firestore-history')) spec.history = true;
+    specs.push(spec);
+  }
+  sinks = (specs.length > 0 ? specs : loadSinkConfig()).map(createSink);
+} catch (e) {
+  console.log(e.message);
+  process.exit(1);
+}
+
+const jsonOutput = args.includes('--json');
+
+// Write the --report file (if asked for) and return the exit code for the run
+function finishRun(results, startedAt) {
+  if (reportFile) {
+    try {
+      const path = writeRunReport(reportFile, buildRunReport(results, { startedAt, failOn }));
+      logger.debug(`Run report written to ${path}`);
+    } catch (e) {
+      logger.error(`Could not write run report: ${e.message}`);
+      return EXIT_USAGE;
+    }
+  }
+  return exitCodeFor(results, failOn);
+}
+
+// Print results, then hand them to every sink and the notifiers. Shared by
+// the single-email, --all and --daemon paths.
+async function publishResults(results, { maskJson = false } = {}) {
+  if (jsonOutput) {
+    printTokensJson(results, { mask: maskJson });
+  } else {
+    printResults(results);
+  }
+
+  await publishToSinks(sinks, results);
+
+  if (notifyEnabled) {
+    await runNotifiers(results);
+  }
+
+  const queued = results.filter(r => ATTENTION_ERRORS.includes(r.error)).length;
+  if (queued > 0) {
+    logger.warn(`${queued} account(s) need a manual login, run: node get-flow-token.js --attend`);
+  }
+}
+
+if (args[0] === 'profile') {
+  const action = args[1] && !args[1].startsWith('--') ? args[1] : null;
+  const operand = args[2] && !args[2].startsWith('--') ? args[2] : null;
+  const optionValue = (flag) => args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+  const archivePassphrase = async ({ confirm }) => {
+    if (process.env[PROFILE_PASSPHRASE_ENV]) return process.env[PROFILE_PASSPHRASE_ENV];
+    if (!process.stdin.isTTY) {
+      throw new Error(`No terminal to ask for the archive passphrase on. Set ${PROFILE_PASSPHRASE_ENV}`);
+    }
+    return confirm ? askNewPassphrase('archive passphrase') : promptPassphrase('Archive passphrase: ');
+  };
+
+  try {
+    if (action === 'export' && operand) {
+      const file = args[3] && !args[3].startsWith('--') ? args[3] : `${sanitizeEmail(operand)}.flowprofile`;
+      let passphrase = null;
+      if (args.includes('--encrypt')) {
+        passphrase = await archivePassphrase({ confirm: true });
+      }
+      await exportProfile(operand, file, { passphrase });
+      console.log(`Exported profile for ${operand} to ${file}${passphrase ? ' (encrypted)' : ''}`);
+      console.log('It holds the account\'s login session: keep it as safe as the password.');
+      process.exit(0);
+    } else if (action === 'import' && operand) {
+      const { header } = readProfileArchiveHeader(operand);
+      const passphrase = header.encrypted ? await archivePassphrase({ confirm: false }) : null;
+      const { email } = await importProfile(operand, {
+        email: optionValue('--email'),
+        passphrase,
+        force: args.includes('--force'),
+      });
+      console.log(`Imported profile for ${email} (exported ${header.exportedAt})`);
+      dismissAttention(email);
+      if (args.includes('--no-validate')) process.exit(0);
+
+      // One headless run shows whether the session survived the move
+      logger.info('Checking the imported session with a headless run...');
+      const results = await processEmails([email], { headless: true, tokenLifetimeMs, diagnostics, timeouts, deadlineMs });
+      await publishResults(results);
+      process.exit(finishRun(results, runStartedAt));
+    } else {
+      console.log('Usage: node get-flow-token.js profile export <email> [file] [--encrypt]');
+      console.log('       node get-flow-token.js profile import <file> [--email <email>] [--force] [--no-validate]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+}
+
 if (args.includes('--all')) {
   // Run all accounts from accounts.json
   if (!existsSync(ACCOUNTS_FILE)) {
-    console.log('No accounts.json found. Create one first:');
-    console.log('  node get-flow-token.js --accounts-init');
+    logger.error('No accounts.json found. Create one first:');
+    logger.error('  node get-flow-token.js --accounts-init');
     process.exit(1);
   }
 
   let accounts = [];
   try {
-    accounts = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    accounts = loadAccountsArray();
   } catch (e) {
-    console.log('Error reading accounts.json:', e.message);
+    logger.error(`Error reading accounts.json: ${e.message}`);
     process.exit(1);
   }
 
   if (accounts.length === 0) {
-    console.log('No accounts in accounts.json');
+    logger.error('No accounts in accounts.json');
     process.exit(1);
   }
 
-  const emails = accounts.map(a => a.email);
-  console.log(`Processing all ${emails.length} accounts from accounts.json...`);
+  const selected = selectAccounts(accounts, { group });
+  if (selected.length === 0) {
+    logger.warn(group ? `No enabled accounts labelled "${group}"` : 'All accounts are disabled');
+    process.exit(0);
+  }
+  const emails = selectStale(selected.map(a => a.email));
+  if (emails.length === 0) {
+    logger.info('All tokens are fresh, nothing to refresh');
+    process.exit(0);
+  }
+  const skipped = accounts.length - selected.length;
+  const skippedInfo = skipped > 0 ? ` (${skipped} disabled or outside the group)` : '';
+  logger.info(`Processing ${emails.length === accounts.length ? 'all ' : ''}${emails.length} accounts from accounts.json${skippedInfo}...`);
 
   const headless = args.includes('--headless');
   const forceLogin = args.includes('--refresh');
-  const jsonOutput = args.includes('--json');
-  const firestorePush = args.includes('--firestore-push');
-
-  let submitEndpoint = null;
-  if (args.includes('--submit')) {
-    const idx = args.indexOf('--submit');
-    submitEndpoint = args[idx + 1];
-  }
 
-  let firestoreCollection = 'flow_tokens';
-  if (args.includes('--firestore-collection')) {
-    const idx = args.indexOf('--firestore-collection');
-    firestoreCollection = args[idx + 1];
-  }
+  const results = await processEmails(emails, { headless, forceLogin, tokenLifetimeMs, diagnostics, timeouts, deadlineMs });
+  await publishResults(results);
 
-  const results = await processEmails(emails, { headless, forceLogin });
+  process.exit(finishRun(results, runStartedAt));
+}
 
-  if (jsonOutput) {
-    printTokensJson(results);
-  } else {
-    printResults(results);
+if (args.includes('--attend')) {
+  // Log in by hand, in a headed browser, to the accounts headless runs
+  // queued because they need a person (see attention.js)
+  let queued = listAttention();
+  if (group) {
+    const inGroup = existsSync(ACCOUNTS_FILE) ? selectAccounts(loadAccountsArray(), { group }).map(a => sanitizeEmail(a.email)) : [];
+    queued = queued.filter(entry => inGroup.includes(entry.email));
   }
-
-  if (submitEndpoint) {
-    await submitToApi(submitEndpoint, results);
+  if (queued.length === 0) {
+    logger.info(group ? `No accounts labelled "${group}" need attention` : 'No accounts need attention');
+    process.exit(0);
   }
 
-  if (firestorePush) {
-    await pushToFirestore(results, firestoreCollection);
+  logger.info(`${queued.length} account(s) need attention:`);
+  for (const entry of queued) {
+    logger.info(`  ${entry.email}: ${entry.reason} since ${entry.firstSeenAt} (${entry.failures} failed run(s))`);
   }
+  logger.info('A browser window opens for each account in turn; complete the login there.');
+
+  const results = await processEmails(queued.map(entry => entry.email), {
+    headless: false,
+    forceLogin: args.includes('--refresh'),
+    tokenLifetimeMs,
+    diagnostics,
+    timeouts,
+    deadlineMs,
+  });
+  await publishResults(results);
 
-  process.exit(0);
+  const remaining = listAttention().length;
+  if (remaining > 0) {
+    logger.warn(`${remaining} account(s) still need attention`);
+  }
+  process.exit(finishRun(results, runStartedAt));
 }
 
 if (args.includes('--daemon')) {
-  // Run as daemon - executes daily at midnight
-  const submitEndpoint = args.includes('--submit') ? args[args.indexOf('--submit') + 1] : null;
-  const jsonOutput = args.includes('--json');
-  const firestorePush = args.includes('--firestore-push');
-  const firestoreCollection = args.includes('--firestore-collection')
-    ? args[args.indexOf('--firestore-collection') + 1]
-    : 'flow_tokens';
-
-  async function runDaily() {
-    // Always reload accounts.json fresh
-    if (!existsSync(ACCOUNTS_FILE)) {
-      console.log('No accounts.json found. Create one first:');
-      console.log('  node get-flow-token.js --accounts-init');
-      return;
-    }
+  // Run as daemon - executes on a cron schedule (daily at midnight by default)
+  const schedule = args.includes('--schedule') ? args[args.indexOf('--schedule') + 1] : DEFAULT_SCHEDULE;
+  const timezone = args.includes('--timezone') ? args[args.indexOf('--timezone') + 1] : localTimezone();
+  const catchUp = !args.includes('--no-catch-up');
+  const serve = args.includes('--serve');
+  const serveHost = args.includes('--host') ? args[args.indexOf('--host') + 1] : '127.0.0.1';
+  const servePort = args.includes('--port') ? Number(args[args.indexOf('--port') + 1]) : DEFAULT_PORT;
+  let beforeExpiryMs = null;
+  let shutdownGraceMs = DEFAULT_SHUTDOWN_GRACE_MS;
 
-    let accounts = [];
-    try {
-      accounts = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
-    } catch (e) {
-      console.log('Error reading accounts.json:', e.message);
-      return;
+  try {
+    validateSchedule(schedule, timezone);
+    if (args.includes('--before-expiry')) {
+      beforeExpiryMs = parseDuration(args[args.indexOf('--before-expiry') + 1]);
     }
-
-    if (accounts.length === 0) {
-      console.log('No accounts in accounts.json');
-      return;
+    if (args.includes('--shutdown-grace')) {
+      shutdownGraceMs = parseDuration(args[args.indexOf('--shutdown-grace') + 1]);
     }
+  } catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+  }
 
-    const emails = accounts.map(a => a.email);
-    const timestamp = new Date().toISOString();
-    console.log(`\n[${ timestamp }] Running daily token refresh for ${emails.length} accounts...`);
+  let releasePidFile;
+  try {
+    releasePidFile = acquireDaemonPidFile();
+  } catch (e) {
+    if (e.code !== 'ELOCKED') throw e;
+    logger.error(`A daemon is already running for this data directory (pid ${e.pid}); see "node get-flow-token.js daemon status"`);
+    process.exit(1);
+  }
+  process.on('exit', () => releasePidFile());
 
-    const results = await processEmails(emails, { headless: true, forceLogin: false });
+  // Aborting cancels the account in progress; `stopping` only keeps new
+  // accounts from starting
+  const abortController = new AbortController();
+  let stopping = false;
+  let heartbeat = null;
 
-    if (jsonOutput) {
-      printTokensJson(results);
-    } else {
-      printResults(results);
+  function getScheduledAccounts() {
+    // Always reload accounts.json fresh
+    if (!existsSync(ACCOUNTS_FILE)) {
+      logger.error('No accounts.json found. Create one first:');
+      logger.error('  node get-flow-token.js --accounts-init');
+      return [];
     }
 
-    if (submitEndpoint) {
-      await submitToApi(submitEndpoint, results);
+    const accounts = selectAccounts(loadAccountsArray(), { group });
+    if (accounts.length === 0) {
+      logger.warn(group ? `No enabled accounts labelled "${group}" in accounts.json` : 'No enabled accounts in accounts.json');
     }
-
-    if (firestorePush) {
-      await pushToFirestore(results, firestoreCollection);
+    for (const account of accounts) {
+      if (account.schedule) {
+        try {
+          validateSchedule(account.schedule, timezone);
+        } catch (e) {
+          logger.warn(`${account.email}: ${e.message}, using "${schedule}"`);
+          delete account.schedule;
+        }
+      }
     }
+    return accounts;
   }
 
-  function msUntilMidnight() {
-    const now = new Date();
-    const midnight = new Date(now);
-    midnight.setDate(midnight.getDate() + 1);
-    midnight.setHours(0, 0, 0, 0);
-    return midnight.getTime() - now.getTime();
+  async function runScheduled(emails) {
+    const startedAt = new Date();
+    const timestamp = startedAt.toISOString();
+    logger.info(`\n[${ timestamp }] Running scheduled token refresh for ${emails.length} accounts...`);
+
+    heartbeat.runStarted(emails);
+    const results = [];
+    for (const email of emails) {
+      if (stopping) break;
+      results.push(...await processEmails([email], {
+        headless: true,
+        forceLogin: false,
+        tokenLifetimeMs,
+        diagnostics,
+        timeouts,
+        deadlineMs,
+        launch: DAEMON_LAUNCH_OPTIONS,
+        signal: abortController.signal,
+      }));
+    }
+    heartbeat.runFinished(results);
+
+    // Cancelled accounts are retried on the next start, not reported
+    const finished = results.filter(r => r.error !== 'aborted');
+    if (finished.length > 0) {
+      await publishResults(finished, { maskJson: true });
+      // The daemon keeps running whatever happened; the report shows the last run
+      finishRun(finished, startedAt);
+    }
+
+    return results;
   }
 
-  function scheduleNextRun() {
-    const ms = msUntilMidnight();
-    const hours = Math.floor(ms / (1000 * 60 * 60));
-    const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
-    console.log(`Next run scheduled in ${hours}h ${minutes}m (at midnight)`);
+  // Scheduled runs and on-demand refreshes from --serve share one lock so
+  // only one Chrome run happens at a time
+  const runLock = createRunLock();
+  const runExclusive = (emails) => runLock.run(() => runScheduled(emails));
 
-    setTimeout(async () => {
-      await runDaily();
-      scheduleNextRun();
-    }, ms);
+  logger.info('='.repeat(60));
+  if (beforeExpiryMs !== null) {
+    logger.info(`DAEMON MODE - Refreshing ${formatDuration(beforeExpiryMs)} before token expiry`);
+  } else {
+    logger.info(`DAEMON MODE - Schedule "${schedule}" (${timezone})`);
   }
-
-  console.log('='.repeat(60));
-  console.log('DAEMON MODE - Running daily at midnight');
-  console.log('='.repeat(60));
-  console.log(`Accounts file: ${ACCOUNTS_FILE}`);
-  if (submitEndpoint) {
-    console.log(`Submit endpoint: ${submitEndpoint}`);
+  logger.info('='.repeat(60));
+  if (ENV_NAME) logger.info(`Environment: ${ENV_NAME}`);
+  logger.info(`Accounts file: ${ACCOUNTS_FILE}`);
+  if (!catchUp && beforeExpiryMs === null) {
+    logger.info('Catch-up: disabled (missed runs are skipped)');
   }
-  if (firestorePush) {
-    console.log(`Firestore collection: ${firestoreCollection}`);
+  for (const sink of sinks) {
+    logger.info(`Sink: ${sink.name}`);
   }
-  console.log('');
-
-  // Run immediately on start
-  console.log('Running initial fetch...');
-  await runDaily();
+  logger.info('');
+
+  // The first tick runs new accounts and any missed runs (or, in expiry mode,
+  // anything already stale), then sleeps until the next trigger
+  const scheduler = beforeExpiryMs !== null
+    ? createExpiryScheduler({
+      leadMs: beforeExpiryMs,
+      getAccounts: getScheduledAccounts,
+      run: runExclusive,
+      onTick: replayOutbox,
+      onNext: () => heartbeat.beat(),
+    })
+    : createScheduler({
+      schedule,
+      timezone,
+      catchUp,
+      getAccounts: getScheduledAccounts,
+      run: runExclusive,
+      onTick: replayOutbox,
+      onNext: () => heartbeat.beat(),
+    });
 
-  // Schedule next run at midnight
-  scheduleNextRun();
+  let server = null;
+  if (serve) {
+    try {
+      server = await startTokenServer({
+        host: serveHost,
+        port: servePort,
+        key: loadServerKey(),
+        refresh: async (email) => (await runExclusive([email]))[0]
+          ?? { email, success: false, error: 'aborted' },
+        isKnownAccount: (email) => getScheduledAccounts().some(a => sanitizeEmail(a.email) === email),
+        isBusy: runLock.isBusy,
+      });
+    } catch (e) {
+      logger.error(`Could not start token server: ${e.message}`);
+      process.exit(1);
+    }
+  }
 
-  // Keep process alive
-  process.on('SIGINT', () => {
-    console.log('\nDaemon stopped.');
-    process.exit(0);
+  heartbeat = createHeartbeat({
+    mode: beforeExpiryMs !== null ? 'before-expiry' : 'schedule',
+    schedule: beforeExpiryMs !== null ? null : schedule,
+    timezone: beforeExpiryMs !== null ? null : timezone,
+    nextRunAt: scheduler.nextRunAt,
+  });
+  heartbeat.start();
+  scheduler.start();
+
+  // The first SIGTERM/SIGINT stops scheduling and gives the account in
+  // progress shutdownGraceMs to finish; a second signal (or the grace period
+  // running out) cancels it and closes Chrome
+  await new Promise((resolve) => {
+    const shutdown = async (signal) => {
+      if (stopping) {
+        logger.warn(`${signal} received again, cancelling the account in progress`);
+        abortController.abort(new Error(`Daemon received ${signal}`));
+        return;
+      }
+      stopping = true;
+      logger.info(`\n${signal} received, shutting down...`);
+      scheduler.stop();
+      heartbeat.setState('stopping');
+      if (server) server.close();
+      if (runLock.isBusy()) {
+        logger.info(`Waiting up to ${formatDuration(shutdownGraceMs)} for the account in progress (send ${signal} again to cancel it now)`);
+      }
+      const grace = setTimeout(() => abortController.abort(new Error('Daemon shutdown grace period ran out')), shutdownGraceMs);
+      await runLock.run(() => {});
+      clearTimeout(grace);
+      resolve();
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
   });
 
-  // Prevent exit
-  await new Promise(() => {});
+  heartbeat.stop();
+  logger.info('Daemon stopped.');
+  process.exit(0);
 }
 
 if (args.includes('--list')) {
-  const profiles = listProfiles();
-  if (profiles.length === 0) {
-    console.log('No saved profiles');
-  } else {
-    console.log('Saved profiles:\n');
-    for (const p of profiles) {
-      console.log(`  ${p.email}`);
-      console.log(`    Token: ${p.token.substring(0, 40)}...`);
-      console.log(`    Updated: ${p.updatedAt}`);
-      console.log('');
+  try {
+    const now = new Date();
+    const rows = filterStatus(collectStatus({ now }), {
+      group,
+      failed: args.includes('--failed'),
+      olderThanMs: args.includes('--older-than') ? parseDuration(args[args.indexOf('--older-than') + 1]) : null,
+    });
+    const sorted = sortStatus(rows, args.includes('--sort') ? args[args.indexOf('--sort') + 1] : 'email', { reverse: args.includes('--reverse') });
+    if (jsonOutput) {
+      console.log(JSON.stringify(sorted, null, 2));
+    } else if (args.includes('--csv')) {
+      process.stdout.write(toCsv(STATUS_COLUMNS, statusRecords(sorted)));
+    } else {
+      printStatus(sorted, { now });
+    }
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (args.includes('--history')) {
+  const email = args[args.indexOf('--history') + 1];
+  if (!email || email.startsWith('--')) {
+    console.log('Usage: node get-flow-token.js --history <email>');
+    process.exit(1);
+  }
+  printHistory(email, loadHistory(email));
+  process.exit(0);
+}
+
+if (args.includes('--outbox')) {
+  const [action = 'list', id = null] = args
+    .slice(args.indexOf('--outbox') + 1, args.indexOf('--outbox') + 3)
+    .filter(arg => !arg.startsWith('--'));
+
+  if (action === 'list') {
+    const entries = loadOutbox();
+    if (entries.length === 0) {
+      console.log('Outbox is empty');
+    } else {
+      console.log('Pending deliveries:\n');
+      for (const e of entries) {
+        const target = e.op === 'remove' ? `remove ${e.payload}` : `${e.payload.length} result(s): ${e.payload.map(r => r.email).join(', ')}`;
+        console.log(`  ${e.id}  ${e.sink.type}  ${target}`);
+        console.log(`    Attempts: ${e.attempts} | Next: ${e.nextAttemptAt}`);
+        console.log(`    Last error: ${e.lastError}`);
+        console.log('');
+      }
     }
+  } else if (action === 'retry') {
+    const { delivered, failed } = await replayOutbox({ force: true, id });
+    console.log(`Delivered ${delivered}, failed ${failed}`);
+    process.exit(failed > 0 ? 1 : 0);
+  } else if (action === 'purge') {
+    const purged = purgeOutbox(id);
+    console.log(`Purged ${purged} deliver${purged === 1 ? 'y' : 'ies'}`);
+  } else {
+    console.log('Usage: node get-flow-token.js --outbox [list|retry|purge] [id]');
+    process.exit(1);
   }
   process.exit(0);
 }
 
 if (args.includes('--clear')) {
-  if (existsSync(PROFILES_DIR)) {
-    rmSync(PROFILES_DIR, { recursive: true, force: true });
-    mkdirSync(PROFILES_DIR, { recursive: true });
+  // Sinks may still hold a token for any account in accounts.json or the
+  // token store, even one whose local token is already gone
+  let removed;
+  try {
+    removed = collectStatus().map(r => r.email);
+  } catch (e) {
+    console.log(`${e.message}, not clearing.`);
+    process.exit(1);
+  }
+  try {
+    clearAll();
+  } catch (e) {
+    console.log(`${e.message}, not clearing. Stop that run first.`);
+    process.exit(1);
   }
-  if (existsSync(TOKENS_FILE)) {
-    rmSync(TOKENS_FILE);
+  for (const email of removed) {
+    await removeFromSinks(sinks, email);
   }
   console.log('Cleared all profiles and tokens');
   process.exit(0);
@@ -805,63 +1125,44 @@ if (args.includes('--remove')) {
     console.log('Usage: node get-flow-token.js --remove <email>');
     process.exit(1);
   }
-  removeProfile(email);
+  try {
+    removeProfile(email);
+  } catch (e) {
+    console.log(`${e.message}, not removing. Stop that run first.`);
+    process.exit(1);
+  }
+  await removeFromSinks(sinks, email);
   console.log(`Removed profile for ${email}`);
   process.exit(0);
 }
 
 // Parse options
 const headless = args.includes('--headless');
-const jsonOutput = args.includes('--json');
 const forceLogin = args.includes('--refresh');
-const firestorePush = args.includes('--firestore-push');
-
-let submitEndpoint = null;
-if (args.includes('--submit')) {
-  const idx = args.indexOf('--submit');
-  submitEndpoint = args[idx + 1];
-  if (!submitEndpoint || submitEndpoint.startsWith('--')) {
-    console.log('Usage: node get-flow-token.js <emails> --submit <url>');
-    process.exit(1);
-  }
-}
-
-let firestoreCollection = 'flow_tokens';
-if (args.includes('--firestore-collection')) {
-  const idx = args.indexOf('--firestore-collection');
-  firestoreCollection = args[idx + 1];
-}
 
 // Get emails (filter out flags and their values)
-const flagsWithValues = ['--submit', '--remove', '--firestore-collection'];
-const emails = args.filter((arg, idx) => {
+const flagsWithValues = ['--submit', '--submit-header', '--submit-method', '--submit-template', '--submit-timeout', '--sink', '--remove', '--history', '--firestore-collection', '--firestore-credentials', '--log-level', '--log-format', '--schedule', '--timezone', '--only-stale', '--token-lifetime', '--before-expiry', '--host', '--port', '--fail-on', '--report', '--group', '--shutdown-grace', '--phase-timeout', '--deadline'];
+const requestedEmails = args.filter((arg, idx) => {
   if (arg.startsWith('--')) return false;
   const prevArg = args[idx - 1];
   if (prevArg && flagsWithValues.includes(prevArg)) return false;
   return true;
 });
 
-if (emails.length === 0) {
-  console.log('No emails provided. Use --help for usage.');
+if (requestedEmails.length === 0) {
+  logger.error('No emails provided. Use --help for usage.');
   process.exit(1);
 }
 
-// Process emails
-console.log(`Processing ${emails.length} email(s)...`);
-const results = await processEmails(emails, { headless, forceLogin });
-
-if (jsonOutput) {
-  printTokensJson(results);
-} else {
-  printResults(results);
+const emails = selectStale(requestedEmails);
+if (emails.length === 0) {
+  logger.info('All tokens are fresh, nothing to refresh');
+  process.exit(0);
 }
 
-// Submit to API if requested
-if (submitEndpoint) {
-  await submitToApi(submitEndpoint, results);
-}
+// Process emails
+logger.info(`Processing ${emails.length} email(s)...`);
+const results = await processEmails(emails, { headless, forceLogin, tokenLifetimeMs, diagnostics, timeouts, deadlineMs });
+await publishResults(results);
 
-// Push to Firestore if requested
-if (firestorePush) {
-  await pushToFirestore(results, firestoreCollection);
-}
+process.exit(finishRun(results, runStartedAt));
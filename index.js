@@ -0,0 +1,162 @@
+// Library entry point. The CLI lives in get-flow-token.js and is built on
+// the same exports, so importing this module never parses argv or exits.
+export {
+  getFlowToken,
+  processEmails,
+  resolveTarget,
+  FLOW_URL,
+  API_PATTERN,
+  CREDITS_PATTERN,
+  LOGIN_PATTERN,
+  APP_PATTERN,
+  DEFAULT_TIMEOUTS,
+  validateTimeouts,
+  parseTimeoutFlag,
+} from './src/flow.js';
+export { createMockFlowServer, startMockFlowServer } from './src/mock-flow.js';
+export { ERROR_CODES, describeError } from './src/errors.js';
+export {
+  buildRunReport,
+  writeRunReport,
+  exitCodeFor,
+  validateFailOn,
+  FAIL_ON_POLICIES,
+  DEFAULT_FAIL_ON,
+  EXIT_OK,
+  EXIT_USAGE,
+  EXIT_FAILED,
+} from './src/report.js';
+export {
+  loadTokens,
+  saveTokens,
+  saveToken,
+  getToken,
+  removeProfile,
+  listProfiles,
+  clearAll,
+  appendHistory,
+  loadHistory,
+  summarizeHistory,
+  estimateExpiry,
+  tokenExpiry,
+  remainingLifetime,
+  isStale,
+  DEFAULT_TOKEN_LIFETIME_MS,
+  storeType,
+  getStore,
+  closeStore,
+  migrateStore,
+  withTokensResealed,
+  STORE_TYPES,
+} from './src/store.js';
+export { createJsonStore } from './src/stores/json.js';
+export { createSqliteStore, isSqliteAvailable } from './src/stores/sqlite.js';
+export {
+  loadAccounts,
+  loadAccountsArray,
+  saveAccountsArray,
+  selectAccounts,
+  normalizeAccount,
+  addAccount,
+  removeAccount,
+  setAccountEnabled,
+  importAccounts,
+  exportAccounts,
+  isEnabled,
+  accountLabels,
+  passwordKind,
+} from './src/accounts.js';
+export { parseCsv, parseCsvRecords, toCsv } from './src/csv.js';
+export {
+  submitToApi,
+  signPayload,
+  renderTemplate,
+  pushToFirestore,
+  removeFromFirestore,
+  createSink,
+  parseSinkFlag,
+  loadSinkConfig,
+  publishToSinks,
+  removeFromSinks,
+  createApiSink,
+  createFirestoreSink,
+  createFileSink,
+  createCommandSink,
+  loadOutbox,
+  replayOutbox,
+  purgeOutbox,
+  enqueueDelivery,
+} from './src/sinks/index.js';
+export { notify, evaluateAlerts, createNotifier, loadNotifierConfig } from './src/notifiers.js';
+export {
+  createScheduler,
+  createExpiryScheduler,
+  validateSchedule,
+  nextRunTime,
+  previousRunTime,
+  localTimezone,
+  DEFAULT_SCHEDULE,
+} from './src/schedule.js';
+export { createTokenServer, startTokenServer, loadServerKey, SERVER_KEY_ENV, DEFAULT_PORT } from './src/server.js';
+export { createRunLock } from './src/lock.js';
+export { exportProfile, importProfile, readProfileArchiveHeader, PROFILE_PASSPHRASE_ENV } from './src/profile-archive.js';
+export { loadAttention, listAttention, recordAttention, dismissAttention, ATTENTION_ERRORS } from './src/attention.js';
+export {
+  acquireDaemonPidFile,
+  createHeartbeat,
+  daemonStatus,
+  formatDaemonStatus,
+  stopDaemon,
+  systemdUnit,
+  EXIT_NOT_RUNNING,
+  DEFAULT_SHUTDOWN_GRACE_MS,
+  DAEMON_LAUNCH_OPTIONS,
+} from './src/daemon.js';
+export { parseDuration, formatDuration } from './src/duration.js';
+export { printResults, printTokensJson, printHistory, printStatus } from './src/output.js';
+export {
+  collectStatus,
+  buildStatus,
+  filterStatus,
+  sortStatus,
+  statusRecords,
+  STATUS_STATES,
+  STATUS_COLUMNS,
+} from './src/status.js';
+export { logger, createLogger, configureLogger, getLoggerConfig, maskToken, redact } from './src/logger.js';
+export {
+  isVaultEnabled,
+  isVaultUnlocked,
+  unlockVault,
+  lockVault,
+  initVault,
+  rotateVaultKey,
+  promptPassphrase,
+  sealText,
+  openText,
+  PASSPHRASE_ENV,
+  KEYFILE_ENV,
+} from './src/vault.js';
+export {
+  setDataHome,
+  listEnvironments,
+  validateEnvName,
+  DEFAULT_HOME,
+  HOME_ENV,
+  ENV_NAME_ENV,
+  DATA_HOME,
+  ENV_NAME,
+  AUTH_DIR,
+  PROFILES_DIR,
+  TOKENS_FILE,
+  HISTORY_FILE,
+  STORE_FILE,
+  STORE_DB_FILE,
+  ACCOUNTS_FILE,
+  OUTBOX_FILE,
+  VAULT_FILE,
+  DIAGNOSTICS_DIR,
+  SECRET_FILES,
+  sanitizeEmail,
+  getProfileDir,
+} from './src/paths.js';
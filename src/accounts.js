@@ -0,0 +1,230 @@
+import { existsSync } from 'fs';
+import { ACCOUNTS_FILE, sanitizeEmail } from './paths.js';
+import { readDataFile, writeDataFile } from './vault.js';
+import { passwordSource } from './secrets.js';
+import { parseCsvRecords, toCsv } from './csv.js';
+import { withDataLock } from './lockfile.js';
+
+// Returns the raw accounts array. Throws if the file is missing or unreadable
+// so callers can report the problem; use loadAccounts() for a lenient lookup.
+export function loadAccountsArray() {
+  if (!existsSync(ACCOUNTS_FILE)) {
+    throw new Error(`No accounts.json found at: ${ACCOUNTS_FILE}`);
+  }
+  return JSON.parse(readDataFile(ACCOUNTS_FILE));
+}
+
+// Map of email -> password source. Values are either a literal password or a
+// function resolving a passwordEnv/passwordFile/passwordCommand reference on
+// demand; resolved secrets are never written back to accounts.json.
+export function loadAccounts() {
+  if (!existsSync(ACCOUNTS_FILE)) return {};
+  const raw = readDataFile(ACCOUNTS_FILE);
+  try {
+    const accounts = JSON.parse(raw);
+    // Convert array to object keyed by email
+    const map = {};
+    for (const acc of accounts) {
+      map[sanitizeEmail(acc.email)] = passwordSource(acc);
+    }
+    return map;
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveAccountsArray(accounts) {
+  writeDataFile(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2));
+}
+
+// Fields an account may carry besides its password source
+const PASSWORD_FIELDS = ['password', 'passwordEnv', 'passwordFile', 'passwordCommand'];
+const ACCOUNT_FIELDS = ['email', ...PASSWORD_FIELDS, 'enabled', 'labels', 'notes', 'schedule'];
+
+export function isEnabled(account) {
+  return account.enabled !== false;
+}
+
+export function accountLabels(account) {
+  return Array.isArray(account.labels) ? account.labels : [];
+}
+
+/**
+ * Accounts a batch run (--all, --daemon) should process: enabled ones,
+ * narrowed to those labelled `group` when given.
+ */
+export function selectAccounts(accounts, { group = null } = {}) {
+  return accounts.filter(a => isEnabled(a) && (!group || accountLabels(a).includes(group)));
+}
+
+export function passwordKind(account) {
+  return PASSWORD_FIELDS.find(field => account[field]) ?? null;
+}
+
+function parseLabels(value) {
+  if (Array.isArray(value)) return value.map(l => String(l).trim()).filter(Boolean);
+  return String(value ?? '').split(/[;|,]/).map(l => l.trim()).filter(Boolean);
+}
+
+function parseEnabled(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+  if (['false', 'no', '0', 'n'].includes(normalized)) return false;
+  throw new Error(`Invalid enabled value "${value}" (expected true or false)`);
+}
+
+/**
+ * Validate and tidy an account from the CLI, CSV or JSON: trims the email,
+ * splits labels, parses `enabled` and drops empty or unknown fields.
+ */
+export function normalizeAccount(input) {
+  const email = String(input.email ?? '').trim();
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    throw new Error(`Invalid email: "${email}"`);
+  }
+
+  const account = { email };
+  for (const field of PASSWORD_FIELDS) {
+    if (input[field]) account[field] = String(input[field]);
+  }
+  const passwords = PASSWORD_FIELDS.filter(field => account[field]);
+  if (passwords.length > 1) {
+    throw new Error(`${email}: use only one of ${passwords.join(', ')}`);
+  }
+
+  // Kept when given so an update can re-enable; stored only as false
+  const enabled = parseEnabled(input.enabled);
+  if (enabled !== undefined) account.enabled = enabled;
+  const labels = parseLabels(input.labels);
+  if (labels.length > 0) account.labels = labels;
+  if (input.notes) account.notes = String(input.notes);
+  if (input.schedule) account.schedule = String(input.schedule);
+  return account;
+}
+
+// Load, change (in place) and save accounts.json under the data directory
+// lock. Throwing from `fn` leaves the file untouched.
+function updateAccounts(fn) {
+  return withDataLock(() => {
+    const accounts = existsSync(ACCOUNTS_FILE) ? loadAccountsArray() : [];
+    const result = fn(accounts);
+    saveAccountsArray(accounts);
+    return result;
+  });
+}
+
+function indexOfEmail(accounts, email) {
+  return accounts.findIndex(a => sanitizeEmail(a.email) === sanitizeEmail(email));
+}
+
+/**
+ * Add an account, or with `update` merge the given fields into an existing
+ * one. A new password field replaces the old one.
+ */
+export function addAccount(input, { update = false } = {}) {
+  const account = normalizeAccount(input);
+  return updateAccounts((accounts) => {
+    const idx = indexOfEmail(accounts, account.email);
+    if (idx === -1) {
+      accounts.push(mergeAccount({}, account));
+      return 'added';
+    }
+    if (!update) {
+      throw new Error(`${account.email} is already in accounts.json`);
+    }
+    accounts[idx] = mergeAccount(accounts[idx], account);
+    return 'updated';
+  });
+}
+
+function mergeAccount(existing, changes) {
+  const merged = { ...existing, ...changes };
+  if (passwordKind(changes)) {
+    for (const field of PASSWORD_FIELDS) {
+      if (!changes[field]) delete merged[field];
+    }
+  }
+  if (merged.enabled !== false) delete merged.enabled;
+  return merged;
+}
+
+export function removeAccount(email) {
+  return updateAccounts((accounts) => {
+    const idx = indexOfEmail(accounts, email);
+    if (idx === -1) return false;
+    accounts.splice(idx, 1);
+    return true;
+  });
+}
+
+export function setAccountEnabled(email, enabled) {
+  return updateAccounts((accounts) => {
+    const idx = indexOfEmail(accounts, email);
+    if (idx === -1) return false;
+    if (enabled) {
+      delete accounts[idx].enabled;
+    } else {
+      accounts[idx].enabled = false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Merge accounts from CSV text (header row with ACCOUNT_FIELDS columns;
+ * labels separated by ";") or a JSON array. Existing accounts are updated
+ * unless `skipExisting`. Invalid rows abort the import before anything is
+ * written.
+ */
+export function importAccounts(text, { format = 'csv', skipExisting = false } = {}) {
+  const rows = format === 'json' ? JSON.parse(text) : parseCsvRecords(text);
+  if (!Array.isArray(rows)) throw new Error('Expected an array of accounts');
+
+  const incoming = rows.map((row, i) => {
+    try {
+      return normalizeAccount(row);
+    } catch (e) {
+      throw new Error(`Row ${i + 1}: ${e.message}`);
+    }
+  });
+
+  return updateAccounts((accounts) => {
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    for (const account of incoming) {
+      const idx = indexOfEmail(accounts, account.email);
+      if (idx === -1) {
+        accounts.push(mergeAccount({}, account));
+        counts.added++;
+      } else if (skipExisting) {
+        counts.skipped++;
+      } else {
+        accounts[idx] = mergeAccount(accounts[idx], account);
+        counts.updated++;
+      }
+    }
+    return counts;
+  });
+}
+
+/**
+ * Serialize accounts as CSV or JSON. Literal passwords are left out unless
+ * `withPasswords`; password references (env, file, command) are kept.
+ */
+export function exportAccounts(accounts, { format = 'json', withPasswords = false } = {}) {
+  const rows = accounts.map(a => {
+    const row = { ...a };
+    if (!withPasswords) delete row.password;
+    return row;
+  });
+
+  if (format === 'csv') {
+    return toCsv(ACCOUNT_FIELDS, rows.map(r => ({
+      ...r,
+      enabled: isEnabled(r),
+      labels: accountLabels(r).join(';'),
+    })));
+  }
+  return JSON.stringify(rows, null, 2) + '\n';
+}
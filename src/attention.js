@@ -0,0 +1,80 @@
+import { existsSync, readFileSync } from 'fs';
+import { ATTENTION_FILE, ensureDirs, sanitizeEmail } from './paths.js';
+import { writeFileAtomic, withDataLock } from './lockfile.js';
+
+// Accounts that need a person at the keyboard (a login headless runs can't
+// do) are queued in attention.json until a run captures a token for them.
+// `--attend` works through the queue in a headed browser.
+
+// Failures a headless retry won't fix
+export const ATTENTION_ERRORS = ['login_required', 'verification_required', 'password_rejected'];
+
+export function loadAttention() {
+  if (!existsSync(ATTENTION_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(ATTENTION_FILE, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function updateAttention(fn) {
+  return withDataLock(() => {
+    const queue = loadAttention();
+    const changed = fn(queue);
+    if (changed) {
+      ensureDirs();
+      writeFileAtomic(ATTENTION_FILE, JSON.stringify(queue, null, 2));
+    }
+    return changed;
+  });
+}
+
+/**
+ * Queue the account when `result` failed with one of ATTENTION_ERRORS, and
+ * take it off the queue once a run succeeds. Other failures leave the queue
+ * alone. Returns the account's entry, or null when it is not queued.
+ */
+export function recordAttention(result) {
+  const email = sanitizeEmail(result.email);
+  const needsAttention = !result.success && ATTENTION_ERRORS.includes(result.error);
+  if (!result.success && !needsAttention) return loadAttention()[email] ?? null;
+
+  let entry = null;
+  updateAttention((queue) => {
+    if (!needsAttention) {
+      if (!queue[email]) return false;
+      delete queue[email];
+      return true;
+    }
+    const now = new Date().toISOString();
+    const previous = queue[email];
+    entry = {
+      reason: result.error,
+      message: result.message ?? null,
+      firstSeenAt: previous?.firstSeenAt ?? now,
+      lastSeenAt: now,
+      failures: (previous?.failures ?? 0) + 1,
+    };
+    queue[email] = entry;
+    return true;
+  });
+  return entry;
+}
+
+// Queued accounts, oldest first
+export function listAttention() {
+  return Object.entries(loadAttention())
+    .map(([email, entry]) => ({ email, ...entry }))
+    .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+}
+
+// Drop an account from the queue without a run (e.g. it was removed)
+export function dismissAttention(email) {
+  return updateAttention((queue) => {
+    const key = sanitizeEmail(email);
+    if (!queue[key]) return false;
+    delete queue[key];
+    return true;
+  });
+}
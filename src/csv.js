@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV: comma separated, fields optionally quoted with "",
+// quotes inside quoted fields doubled, CRLF or LF line endings.
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field in CSV');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Rows as objects keyed by the (trimmed) header row
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((key, i) => [key, r[i] ?? ''])));
+}
+
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCsv(columns, records) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(c => csvField(record[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,251 @@
+import { existsSync, readFileSync, unlinkSync } from 'fs';
+import { hostname, userInfo } from 'os';
+import { DAEMON_LOCK_FILE, DAEMON_PID_FILE, DAEMON_STATUS_FILE, DATA_HOME, ENV_NAME, ensureDirs } from './paths.js';
+import { acquireLock, lockHolder, isAlive, writeFileAtomic } from './lockfile.js';
+import { formatDuration } from './duration.js';
+
+// `daemon status` exits with this when no daemon is running, like LSB init
+// scripts do
+export const EXIT_NOT_RUNNING = 3;
+export const DEFAULT_SHUTDOWN_GRACE_MS = 30 * 1000;
+
+// Playwright closes Chrome on the first SIGINT/SIGTERM/SIGHUP by default,
+// which would cut the shutdown grace period short; the daemon handles them
+export const DAEMON_LAUNCH_OPTIONS = { handleSIGINT: false, handleSIGTERM: false, handleSIGHUP: false };
+
+// The heartbeat is rewritten at least this often while the daemon runs
+export const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const HEARTBEAT_STALE_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+/**
+ * Claim daemon.lock for this process, so only one daemon runs per data
+ * directory (and environment), and write its bare pid to daemon.pid for
+ * `kill $(cat daemon.pid)`. Throws an ELOCKED error naming the running
+ * daemon's pid otherwise. Returns a release function.
+ */
+export function acquireDaemonPidFile() {
+  ensureDirs();
+  const release = acquireLock(DAEMON_LOCK_FILE, { what: 'The daemon' });
+  try {
+    writeFileAtomic(DAEMON_PID_FILE, `${process.pid}\n`);
+  } catch (e) {
+    release();
+    throw e;
+  }
+  return () => {
+    try { unlinkSync(DAEMON_PID_FILE); } catch (e) {}
+    release();
+  };
+}
+
+/**
+ * Tracks what the daemon is doing and mirrors it to daemon-status.json:
+ * state (idle, running, stopping, stopped), the current and last run, and
+ * the next scheduled run from `nextRunAt()`.
+ */
+export function createHeartbeat({ mode, schedule = null, timezone = null, nextRunAt = () => null }) {
+  const status = {
+    pid: process.pid,
+    hostname: hostname(),
+    env: ENV_NAME,
+    mode,
+    schedule,
+    timezone,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    state: 'idle',
+    currentRun: null,
+    lastRun: null,
+    nextRunAt: null,
+  };
+  let timer = null;
+
+  function write() {
+    status.updatedAt = new Date().toISOString();
+    status.nextRunAt = status.currentRun || status.state === 'stopped' ? null : nextRunAt()?.toISOString() ?? null;
+    try {
+      writeFileAtomic(DAEMON_STATUS_FILE, JSON.stringify(status, null, 2));
+    } catch (e) {
+      // A missed beat shows up as a stale heartbeat in `daemon status`
+    }
+  }
+
+  return {
+    status,
+    start() {
+      write();
+      timer = setInterval(write, HEARTBEAT_INTERVAL_MS);
+    },
+    // Write now, e.g. when the next run time changed
+    beat: write,
+    runStarted(emails) {
+      status.state = 'running';
+      status.currentRun = { startedAt: new Date().toISOString(), accounts: emails };
+      write();
+    },
+    runFinished(results) {
+      status.lastRun = {
+        startedAt: status.currentRun?.startedAt ?? null,
+        finishedAt: new Date().toISOString(),
+        accounts: results.length,
+        succeeded: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success && r.error !== 'aborted').length,
+        aborted: results.filter(r => r.error === 'aborted').length,
+      };
+      status.currentRun = null;
+      if (status.state === 'running') status.state = 'idle';
+      write();
+    },
+    setState(state) {
+      status.state = state;
+      write();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      status.state = 'stopped';
+      write();
+    },
+  };
+}
+
+function readStatusFile() {
+  if (!existsSync(DAEMON_STATUS_FILE)) return null;
+  try {
+    return JSON.parse(readFileSync(DAEMON_STATUS_FILE, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a daemon is running for the current data directory, with its pid
+ * and last heartbeat. `stale` means the process exists but has not written
+ * a heartbeat for a while (hung, or suspended).
+ */
+export function daemonStatus() {
+  const holder = lockHolder(DAEMON_LOCK_FILE);
+  const heartbeat = readStatusFile();
+  const running = Boolean(holder);
+  const sameProcess = running && heartbeat?.pid === holder.pid;
+  const age = sameProcess && heartbeat.updatedAt ? Date.now() - new Date(heartbeat.updatedAt).getTime() : null;
+  return {
+    running,
+    pid: holder?.pid ?? null,
+    hostname: holder?.hostname ?? null,
+    stale: running && (age === null || age > HEARTBEAT_STALE_MS),
+    heartbeat,
+  };
+}
+
+export function formatDaemonStatus({ running, pid, hostname: host, stale, heartbeat }) {
+  const lines = [];
+  const at = (iso) => `${iso} (${formatDuration(Date.now() - new Date(iso).getTime())} ${new Date(iso) > new Date() ? 'from now' : 'ago'})`;
+
+  if (!running) {
+    lines.push('Daemon: not running');
+  } else {
+    const uptime = heartbeat?.pid === pid ? `, up ${formatDuration(Date.now() - new Date(heartbeat.startedAt).getTime())}` : '';
+    const remote = host && host !== hostname() ? ` on ${host}` : '';
+    lines.push(`Daemon: running (pid ${pid}${remote}${uptime})`);
+    if (stale) lines.push(`  Warning: no heartbeat since ${heartbeat?.updatedAt ?? 'start'}, the daemon may be hung`);
+  }
+  if (!heartbeat) return lines.join('\n');
+
+  if (heartbeat.env) lines.push(`  Environment: ${heartbeat.env}`);
+  if (heartbeat.mode === 'before-expiry') {
+    lines.push('  Mode: refresh before expiry');
+  } else if (heartbeat.schedule) {
+    lines.push(`  Schedule: "${heartbeat.schedule}" (${heartbeat.timezone})`);
+  }
+  if (running) {
+    lines.push(`  State: ${heartbeat.state}`);
+    if (heartbeat.currentRun) {
+      lines.push(`  Current run: ${heartbeat.currentRun.accounts.join(', ')} since ${at(heartbeat.currentRun.startedAt)}`);
+    }
+  } else {
+    lines.push(`  Last seen: ${at(heartbeat.updatedAt)}`);
+  }
+  if (heartbeat.lastRun) {
+    const { finishedAt, succeeded, failed, aborted } = heartbeat.lastRun;
+    const counts = [`${succeeded} ok`, `${failed} failed`, ...(aborted ? [`${aborted} aborted`] : [])].join(', ');
+    lines.push(`  Last run: ${at(finishedAt)}, ${counts}`);
+  }
+  if (running && heartbeat.nextRunAt) lines.push(`  Next run: ${at(heartbeat.nextRunAt)}`);
+  return lines.join('\n');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Ask the running daemon to shut down (SIGTERM) and wait up to `timeoutMs`
+ * for it to exit. With `now`, a second SIGTERM cancels the current account
+ * instead of letting it finish. Resolves to { stopped, pid }.
+ */
+export async function stopDaemon({ timeoutMs = 2 * 60 * 1000, now = false } = {}) {
+  const { running, pid, hostname: host } = daemonStatus();
+  if (!running) return { stopped: false, pid: null };
+  if (host !== hostname()) {
+    throw new Error(`The daemon runs on ${host} (pid ${pid}), stop it there`);
+  }
+
+  process.kill(pid, 'SIGTERM');
+  if (now) {
+    await sleep(200);
+    if (isAlive(pid)) process.kill(pid, 'SIGTERM');
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  while (isAlive(pid)) {
+    if (Date.now() >= deadline) {
+      throw new Error(`The daemon (pid ${pid}) did not exit within ${formatDuration(timeoutMs)}`);
+    }
+    await sleep(250);
+  }
+  return { stopped: true, pid };
+}
+
+// systemd splits ExecStart on whitespace and expands % specifiers and $VARS
+function systemdQuote(arg) {
+  const escaped = arg.replace(/%/g, '%%').replace(/\$/g, '$$$$');
+  if (/^[\w@%+=:,./-]+$/.test(escaped)) return escaped;
+  return `"${escaped.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * A systemd unit running `node <script> --daemon <daemonArgs>` against the
+ * current data directory and environment. A user unit (`user`) goes in
+ * ~/.config/systemd/user; a system unit runs as the current user.
+ */
+export function systemdUnit({ script, daemonArgs = [], user = false, graceMs = DEFAULT_SHUTDOWN_GRACE_MS, workingDirectory = process.cwd() }) {
+  const command = [process.execPath, script, '--daemon', '--home', DATA_HOME];
+  if (ENV_NAME) command.push('--env', ENV_NAME);
+  command.push(...daemonArgs);
+
+  const lines = [
+    '[Unit]',
+    `Description=Flow token daemon${ENV_NAME ? ` (${ENV_NAME})` : ''}`,
+    'After=network-online.target',
+    'Wants=network-online.target',
+    '',
+    '[Service]',
+    'Type=simple',
+    ...(user ? [] : [`User=${userInfo().username}`]),
+    `WorkingDirectory=${systemdQuote(workingDirectory)}`,
+    `ExecStart=${command.map(systemdQuote).join(' ')}`,
+    '# Vault passphrase, submit secret etc.: one VAR=value per line',
+    `# EnvironmentFile=${user ? '%h/.config' : '/etc'}/flowkey-auto.env`,
+    'KillSignal=SIGTERM',
+    // Room for the current account to finish, then for Chrome to close
+    `TimeoutStopSec=${Math.ceil(graceMs / 1000) + 30}`,
+    'Restart=on-failure',
+    'RestartSec=30',
+    '',
+    '[Install]',
+    `WantedBy=${user ? 'default.target' : 'multi-user.target'}`,
+    '',
+  ];
+  return lines.join('\n');
+}
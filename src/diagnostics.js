@@ -0,0 +1,142 @@
+import { existsSync, mkdirSync, readdirSync, rmSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { DIAGNOSTICS_DIR, sanitizeEmail } from './paths.js';
+import { stripTokens } from './logger.js';
+
+// Keep the bundle readable: the newest requests matter most on failure
+const MAX_NETWORK_ENTRIES = 200;
+const MAX_URL_LENGTH = 500;
+
+// Bundles kept per account, and the age at which any bundle is deleted
+export const DIAGNOSTICS_KEEP = 5;
+export const DIAGNOSTICS_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+const SENSITIVE_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie|x-goog-api-key|x-api-key)$/i;
+const SENSITIVE_PARAMS = /token|key|auth|code|session|password|secret|sig/i;
+
+function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    [name, SENSITIVE_HEADERS.test(name) ? '[redacted]' : stripTokens(value)]));
+}
+
+function redactUrl(raw) {
+  try {
+    const url = new URL(raw);
+    for (const name of [...url.searchParams.keys()]) {
+      if (SENSITIVE_PARAMS.test(name)) url.searchParams.set(name, '[redacted]');
+    }
+    if (url.hash) url.hash = '';
+    raw = url.toString();
+  } catch (e) {
+    // Not a parseable URL (data:, about:blank) - keep as is
+  }
+  return raw.length > MAX_URL_LENGTH ? `${raw.slice(0, MAX_URL_LENGTH)}...` : raw;
+}
+
+// Bundle folders are "<timestamp>_<account>", so names sort by age
+function bundleAccount(name) {
+  return name.slice(name.indexOf('_') + 1);
+}
+
+/**
+ * Delete bundles beyond the newest `keep` per account and any older than
+ * `maxAgeMs`. Returns the number deleted.
+ */
+export function pruneDiagnostics({ keep = DIAGNOSTICS_KEEP, maxAgeMs = DIAGNOSTICS_MAX_AGE_MS, now = Date.now() } = {}) {
+  if (!existsSync(DIAGNOSTICS_DIR)) return 0;
+  const seen = {};
+  let pruned = 0;
+  for (const name of readdirSync(DIAGNOSTICS_DIR).sort().reverse()) {
+    const dir = join(DIAGNOSTICS_DIR, name);
+    const stat = statSync(dir);
+    if (!stat.isDirectory()) continue;
+    const account = bundleAccount(name);
+    seen[account] = (seen[account] ?? 0) + 1;
+    if (seen[account] > keep || now - stat.mtimeMs > maxAgeMs) {
+      rmSync(dir, { recursive: true, force: true });
+      pruned++;
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Record console errors and a trimmed network log for `page` from now on.
+ * `save()` writes them with a screenshot and the page HTML to a timestamped
+ * folder under DIAGNOSTICS_DIR, prunes old bundles and returns its path.
+ * Bearer tokens are stripped from everything but the screenshot.
+ */
+export function recordDiagnostics(context, page, email) {
+  const consoleErrors = [];
+  const network = [];
+  const startedAt = Date.now();
+  const at = () => Date.now() - startedAt;
+
+  const pushNetwork = (entry) => {
+    network.push(entry);
+    if (network.length > MAX_NETWORK_ENTRIES) network.shift();
+  };
+
+  page.on('console', (msg) => {
+    if (msg.type() === 'error') {
+      consoleErrors.push({ at: at(), text: stripTokens(msg.text()), location: msg.location()?.url ? redactUrl(msg.location().url) : null });
+    }
+  });
+  page.on('pageerror', (err) => {
+    consoleErrors.push({ at: at(), text: stripTokens(err.message), uncaught: true });
+  });
+
+  context.on('request', (request) => {
+    pushNetwork({
+      at: at(),
+      method: request.method(),
+      url: redactUrl(request.url()),
+      type: request.resourceType(),
+      headers: redactHeaders(request.headers()),
+    });
+  });
+  context.on('response', (response) => {
+    pushNetwork({ at: at(), status: response.status(), url: redactUrl(response.url()) });
+  });
+  context.on('requestfailed', (request) => {
+    pushNetwork({ at: at(), failed: request.failure()?.errorText ?? 'failed', url: redactUrl(request.url()) });
+  });
+
+  return {
+    async save(activePage, error) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const dir = join(DIAGNOSTICS_DIR, `${stamp}_${sanitizeEmail(email).replace(/[^a-z0-9._-]/g, '_')}`);
+      mkdirSync(dir, { recursive: true, mode: 0o700 });
+      const write = (name, data) => writeFileSync(join(dir, name), data, { mode: 0o600 });
+
+      let finalUrl = null;
+      try {
+        finalUrl = activePage.url();
+        await activePage.screenshot({ path: join(dir, 'screenshot.png'), fullPage: true, timeout: 10000 });
+      } catch (e) {
+        write('screenshot-error.txt', e.message);
+      }
+      try {
+        write('page.html', stripTokens(await activePage.content()));
+      } catch (e) {
+        write('page-error.txt', e.message);
+      }
+
+      write('info.json', JSON.stringify({
+        email,
+        error,
+        finalUrl: finalUrl && redactUrl(finalUrl),
+        capturedAt: new Date().toISOString(),
+        durationMs: at(),
+      }, null, 2));
+      write('console.json', JSON.stringify(consoleErrors, null, 2));
+      write('network.json', JSON.stringify(network, null, 2));
+      try {
+        pruneDiagnostics();
+      } catch (e) {
+        // Old bundles stay until the next save; this one is written
+      }
+      return dir;
+    },
+  };
+}
@@ -0,0 +1,34 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Parse "90s", "10m", "12h", "1d" or "1h30m" into milliseconds.
+export function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+  let total = 0;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += Number(match[1]) * UNITS[match[2]];
+    consumed += match[0].length;
+  }
+  if (consumed === 0 || consumed !== text.length) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 90s, 10m, 12h, 1d)`);
+  }
+  return total;
+}
+
+export function formatDuration(ms) {
+  const abs = Math.abs(ms);
+  if (abs < UNITS.m) return `${Math.round(abs / UNITS.s)}s`;
+  if (abs < UNITS.h) return `${Math.floor(abs / UNITS.m)}m`;
+  if (abs < UNITS.d) return `${Math.floor(abs / UNITS.h)}h ${Math.floor((abs % UNITS.h) / UNITS.m)}m`;
+  return `${Math.floor(abs / UNITS.d)}d ${Math.floor((abs % UNITS.d) / UNITS.h)}h`;
+}
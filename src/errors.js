@@ -0,0 +1,30 @@
+// Error codes a failed result can carry in `result.error`, roughly in the
+// order the flow can hit them. `result.message` adds detail when available.
+export const ERROR_CODES = {
+  profile_in_use: 'Another run has this account\'s Chrome profile open',
+  browser_launch_failed: 'Chrome could not be started',
+  navigation_failed: 'The Flow page could not be loaded',
+  login_required: 'Login needed, but running headless',
+  login_trigger_not_found: 'Not logged in and no sign-in button was found',
+  email_field_not_found: 'The sign-in page had no email field',
+  password_rejected: 'The password was not accepted',
+  verification_required: 'A 2FA or "verify it\'s you" challenge was shown',
+  login_timeout: 'Login did not complete in time',
+  token_timeout: 'No API request carrying a bearer token was seen',
+  unexpected_error: 'The browser run failed unexpectedly',
+  deadline_exceeded: 'The account did not finish within its deadline (--deadline)',
+  aborted: 'The run was cancelled before it finished (e.g. daemon shutdown)',
+};
+
+// Codes from earlier versions, still accepted in config files
+const LEGACY_CODES = {
+  no_token: 'token_timeout',
+};
+
+export function normalizeErrorCode(code) {
+  return LEGACY_CODES[code] ?? code;
+}
+
+export function describeError(code) {
+  return ERROR_CODES[normalizeErrorCode(code)] ?? code;
+}
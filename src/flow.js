@@ -0,0 +1,613 @@
+import { chromium } from 'playwright-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { existsSync } from 'fs';
+import { ensureDirs, sanitizeEmail, getProfileDir } from './paths.js';
+import { saveToken, removeProfile, appendHistory } from './store.js';
+import { loadAccounts } from './accounts.js';
+import { resolvePassword } from './secrets.js';
+import { createLogger, maskToken } from './logger.js';
+import { recordDiagnostics } from './diagnostics.js';
+import { acquireProfileLock } from './lockfile.js';
+import { recordAttention } from './attention.js';
+import { parseDuration, formatDuration } from './duration.js';
+
+// Add stealth plugin to avoid detection
+chromium.use(StealthPlugin());
+
+export const FLOW_URL = 'https://labs.google/fx/tools/flow';
+export const API_PATTERN = /aisandbox-pa\.googleapis\.com/;
+export const CREDITS_PATTERN = /aisandbox-pa\.googleapis\.com\/v1\/credits/;
+export const LOGIN_PATTERN = /accounts\.google\.com|\/signin|authui/;
+export const APP_PATTERN = /labs\.google\/fx/;
+
+// Milliseconds per phase: page load, the pause after it, the pause for the
+// login redirect after clicking sign-in, the email field, the pause after
+// submitting the email (plus up to a second of jitter), the password field,
+// manual/auto login, the settle time after logging in, network idle before the
+// token wait, the pause after scrolling to trigger an API call, the first
+// token wait, and the extra wait for manual interaction in headed mode. The
+// short randomized pauses while typing are pacing, not timeouts.
+export const DEFAULT_TIMEOUTS = {
+  navigation: 30000,
+  pageReady: 500,
+  redirect: 1500,
+  emailField: 3000,
+  emailSubmit: 2500,
+  passwordField: 5000,
+  login: 300000,
+  settle: 3000,
+  networkIdle: 10000,
+  apiTrigger: 2000,
+  token: 30000,
+  manual: 120000,
+};
+
+// Overrides for DEFAULT_TIMEOUTS, checked so a typo doesn't silently fall
+// back to the default
+export function validateTimeouts(timeouts = {}) {
+  for (const [phase, ms] of Object.entries(timeouts)) {
+    if (!(phase in DEFAULT_TIMEOUTS)) {
+      throw new Error(`Unknown timeout phase: ${phase} (expected ${Object.keys(DEFAULT_TIMEOUTS).join(', ')})`);
+    }
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+      throw new Error(`Invalid timeout for ${phase}: ${ms}`);
+    }
+  }
+  return timeouts;
+}
+
+// "login=2m" -> { login: 120000 }
+export function parseTimeoutFlag(value) {
+  const idx = value?.indexOf('=') ?? -1;
+  if (idx <= 0) {
+    throw new Error('Usage: --phase-timeout <phase>=<duration>, e.g. login=2m');
+  }
+  return validateTimeouts({ [value.slice(0, idx)]: parseDuration(value.slice(idx + 1)) });
+}
+
+const TARGET_ENV = {
+  flowUrl: 'FLOWKEY_FLOW_URL',
+  apiPattern: 'FLOWKEY_API_PATTERN',
+  creditsPattern: 'FLOWKEY_CREDITS_PATTERN',
+  loginPattern: 'FLOWKEY_LOGIN_PATTERN',
+  appPattern: 'FLOWKEY_APP_PATTERN',
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The site getFlowToken talks to. Defaults to Google Flow; each field can be
+ * overridden by `overrides` or the FLOWKEY_* env vars in TARGET_ENV (patterns
+ * may be strings). A custom flowUrl without an appPattern treats any page on
+ * its origin as the logged-in app.
+ */
+export function resolveTarget(overrides = {}) {
+  const target = {};
+  for (const [key, envName] of Object.entries(TARGET_ENV)) {
+    target[key] = overrides[key] ?? process.env[envName] ?? null;
+  }
+  const customUrl = target.flowUrl && target.flowUrl !== FLOW_URL;
+  const toPattern = (value, fallback) => value instanceof RegExp ? value : (value ? new RegExp(value) : fallback);
+
+  return {
+    flowUrl: target.flowUrl || FLOW_URL,
+    apiPattern: toPattern(target.apiPattern, API_PATTERN),
+    creditsPattern: toPattern(target.creditsPattern, CREDITS_PATTERN),
+    loginPattern: toPattern(target.loginPattern, LOGIN_PATTERN),
+    appPattern: toPattern(target.appPattern,
+      customUrl ? new RegExp(`^${escapeRegExp(new URL(target.flowUrl).origin)}/`) : APP_PATTERN),
+  };
+}
+
+// Selectors and text that mean Google wants a second factor or a "verify it's
+// you" step. The password page itself is /challenge/pwd.
+const VERIFICATION_URL = /\/challenge\/(?!pwd)/;
+const VERIFICATION_TEXT = /2-Step Verification|Verify it.s you|verification code|Confirm it.s you/i;
+
+// Progress events are optional: callers pass an EventEmitter as `options.events`.
+function emit(events, name, payload) {
+  if (events) events.emit(name, payload);
+}
+
+// Milliseconds spent in each phase (start, navigate, login, capture)
+function createPhaseTimer() {
+  const startedAt = Date.now();
+  const phases = {};
+  let current = 'start';
+  let since = startedAt;
+  return {
+    enter(name) {
+      const now = Date.now();
+      phases[current] = (phases[current] ?? 0) + now - since;
+      current = name;
+      since = now;
+    },
+    finish() {
+      this.enter(null);
+      return { startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, phases };
+    },
+  };
+}
+
+async function isVisible(page, selector) {
+  try {
+    const el = await page.$(selector);
+    return Boolean(el && await el.isVisible());
+  } catch (e) {
+    return false;
+  }
+}
+
+// Work out why a login did not finish
+async function diagnoseLogin(page, { passwordSubmitted, issue }) {
+  let text = '';
+  try {
+    text = await page.innerText('body', { timeout: 2000 });
+  } catch (e) {}
+  if (VERIFICATION_URL.test(page.url()) || VERIFICATION_TEXT.test(text)) {
+    return 'verification_required';
+  }
+  if (passwordSubmitted && await isVisible(page, 'input[type="password"]')) {
+    return 'password_rejected';
+  }
+  return issue ?? 'login_timeout';
+}
+
+/**
+ * Launch Chrome with the persistent profile for `email`, walk through the
+ * Flow login if needed and capture the bearer token from an API request.
+ *
+ * Emits `start`, `login_required`, `token_captured`, `credits` and `result`
+ * on `options.events` when provided. `options.target` points it at another
+ * site (see resolveTarget), `options.timeouts` overrides DEFAULT_TIMEOUTS and
+ * `options.launch` is merged into the Playwright launch options. With
+ * `options.diagnostics`, failed results carry a `diagnostics` bundle path.
+ * Aborting `options.signal` closes the browser and fails the run with
+ * `aborted`; aborted runs are left out of the history. `options.deadlineMs`
+ * caps the whole run the same way, failing it with `deadline_exceeded`.
+ * Failures that need a manual login queue the account for `--attend` (see
+ * attention.js).
+ *
+ * Failed results have an `error` code from ERROR_CODES and sometimes a
+ * `message`; every result has `timings` ({ startedAt, durationMs, phases }).
+ */
+export async function getFlowToken(email, options = {}) {
+  validateTimeouts(options.timeouts);
+  const run = { timer: createPhaseTimer(), context: null, releaseProfile: null };
+  const deadline = options.deadlineMs ? createDeadline(options.deadlineMs) : null;
+  const signal = deadline ? AbortSignal.any([options.signal, deadline.signal].filter(Boolean)) : options.signal;
+  let result;
+  try {
+    result = signal?.aborted ? null : await runFlow(email, { ...options, signal }, run);
+  } catch (e) {
+    if (!signal?.aborted) createLogger({ email }).error(`Unexpected error: ${e.message}`);
+    if (run.context) await run.context.close().catch(() => {});
+    result = { email, success: false, error: 'unexpected_error', message: e.message };
+  }
+  deadline?.clear();
+  // Closing the browser under a running step fails it in arbitrary ways
+  if (signal?.aborted && !result?.success) {
+    const error = options.signal?.aborted ? 'aborted' : 'deadline_exceeded';
+    result = { email, success: false, error, message: abortMessage(signal) };
+  }
+  if (run.releaseProfile) run.releaseProfile();
+  result.timings = run.timer.finish();
+  if (result.error !== 'aborted') {
+    appendHistory(result);
+    recordAttention(result);
+  }
+  emit(options.events, 'result', result);
+  return result;
+}
+
+function abortMessage(signal) {
+  return signal.reason instanceof Error ? signal.reason.message : 'Cancelled';
+}
+
+// Aborts its signal once `ms` have passed, unless cleared first
+function createDeadline(ms) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`No result within the ${formatDuration(ms)} deadline`)), ms);
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+async function runFlow(email, options, run) {
+  const { headless = false, forceLogin = false, password = null, events = null, tokenLifetimeMs, launch = {}, diagnostics = false, signal = null } = options;
+  const target = resolveTarget(options.target);
+  const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+  ensureDirs();
+  const profileDir = getProfileDir(email);
+  const hasProfile = existsSync(profileDir);
+  const startedAt = Date.now();
+  const baseLog = createLogger({ email });
+  const captureLog = baseLog.child({ phase: 'capture' });
+  let log = baseLog.child({ phase: 'start' });
+  const elapsed = () => ({ durationMs: Date.now() - startedAt });
+  const setPhase = (name) => {
+    run.timer.enter(name);
+    log = baseLog.child({ phase: name });
+  };
+
+  log.info(`\nStarting...`);
+  log.debug(`Profile: ${hasProfile ? 'exists' : 'new'}`);
+  emit(events, 'start', { email, hasProfile });
+
+  // Two Chromes on one profile corrupt it, so a second run (another CLI
+  // call, the daemon) fails fast instead
+  try {
+    run.releaseProfile = acquireProfileLock(email);
+  } catch (e) {
+    if (e.code !== 'ELOCKED') throw e;
+    log.error(e.message, elapsed());
+    return { email, success: false, error: 'profile_in_use', message: e.message };
+  }
+
+  if (forceLogin && hasProfile) {
+    log.info(`Force login - removing old profile`);
+    removeProfile(email);
+  }
+
+  let context;
+  try {
+    context = await chromium.launchPersistentContext(getProfileDir(email), {
+      headless,
+      channel: 'chrome',
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        '--no-first-run',
+        '--no-default-browser-check',
+      ],
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      viewport: { width: 1280, height: 800 },
+      ignoreDefaultArgs: ['--enable-automation'],
+      ...launch,
+    });
+  } catch (e) {
+    // Usually Chrome is missing or the profile is locked by another Chrome
+    const message = e.message.split('\n')[0];
+    log.error(`Could not launch Chrome: ${message}`, elapsed());
+    return { email, success: false, error: 'browser_launch_failed', message };
+  }
+  run.context = context;
+
+  // Resolves when the caller cancels the run (closing the browser) or the
+  // browser goes away by itself, so no wait outlives it
+  let browserClosed = false;
+  const aborted = new Promise((resolve) => {
+    const onAbort = () => {
+      log.warn(`Cancelled: ${abortMessage(signal)}`, elapsed());
+      context.close().catch(() => {});
+      resolve(null);
+    };
+    context.once('close', () => {
+      browserClosed = true;
+      signal?.removeEventListener('abort', onAbort);
+      resolve(null);
+    });
+    if (!signal) return;
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  let page = context.pages()[0] || await context.newPage();
+  const recorder = diagnostics ? recordDiagnostics(context, page, email) : null;
+
+  // Close the browser, saving a diagnostics bundle first when enabled
+  const fail = async (error, message = null) => {
+    const result = { email, success: false, error };
+    if (message) result.message = message;
+    if (recorder && !signal?.aborted) {
+      try {
+        result.diagnostics = await recorder.save(page, error);
+        log.warn(`Diagnostics saved to ${result.diagnostics}`);
+      } catch (e) {
+        log.warn(`Could not save diagnostics: ${e.message}`);
+      }
+    }
+    await context.close();
+    return result;
+  };
+
+  let capturedToken = null;
+  let capturedCredits = null;
+  let tokenResolve;
+  const tokenPromise = new Promise((resolve) => {
+    tokenResolve = resolve;
+  });
+
+  // Intercept requests to capture token
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const url = request.url();
+
+    if (target.apiPattern.test(url)) {
+      const headers = request.headers();
+      const authHeader = headers['authorization'];
+
+      if (authHeader && authHeader.startsWith('Bearer ') && !capturedToken) {
+        capturedToken = authHeader.replace('Bearer ', '');
+        captureLog.info(`Token captured!`);
+        captureLog.info(`Token: ${maskToken(capturedToken)}`);
+        emit(events, 'token_captured', { email, token: capturedToken });
+        tokenResolve(capturedToken);
+      }
+    }
+
+    await route.continue();
+  });
+
+  // Listen for credits response
+  page.on('response', async (response) => {
+    const url = response.url();
+    if (target.creditsPattern.test(url) && response.status() === 200) {
+      try {
+        const data = await response.json();
+        if (data.credits !== undefined) {
+          capturedCredits = data;
+          captureLog.info(`Credits: ${data.credits} (${data.userPaygateTier || 'unknown tier'})`);
+          emit(events, 'credits', { email, credits: data.credits, tier: data.userPaygateTier ?? null });
+        }
+      } catch (e) {
+        // Ignore JSON parse errors
+      }
+    }
+  });
+
+  // Navigate to Flow
+  setPhase('navigate');
+  log.info(`Opening Flow...`);
+  try {
+    await page.goto(target.flowUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+  } catch (e) {
+    if (e.name !== 'TimeoutError') {
+      // DNS, connection or TLS errors won't fix themselves by waiting
+      const message = e.message.split('\n')[0];
+      log.error(`Navigation failed: ${message}`, elapsed());
+      return fail('navigation_failed', message);
+    }
+    log.warn(`Navigation timeout, continuing...`);
+  }
+
+  await page.waitForTimeout(timeouts.pageReady);
+
+  // Try to click "Create with Flow" or similar button to trigger login
+  log.debug(`Looking for login trigger button...`);
+
+  const buttonSelectors = [
+    'button:has-text("Create with Flow")',
+    'button:has-text("Create")',
+    'button:has-text("Sign in")',
+    'button:has-text("Get started")',
+    'button:has-text("Start")',
+    'a:has-text("Sign in")',
+    '[data-action="sign-in"]',
+  ];
+
+  let clickedButton = false;
+  for (const selector of buttonSelectors) {
+    try {
+      const button = await page.$(selector);
+      if (button && await button.isVisible()) {
+        log.debug(`Clicking: ${selector}`);
+        await button.click();
+        clickedButton = true;
+        break;
+      }
+    } catch (e) {
+      // Continue to next selector
+    }
+  }
+
+  if (!clickedButton) {
+    // Try clicking any prominent button
+    try {
+      const buttons = await page.$$('button');
+      for (const btn of buttons) {
+        const text = await btn.textContent().catch(() => '');
+        const isVisible = await btn.isVisible().catch(() => false);
+        if (isVisible && text && (text.includes('Create') || text.includes('Sign') || text.includes('Start'))) {
+          log.debug(`Clicking: "${text.trim()}"`);
+          await btn.click();
+          clickedButton = true;
+          break;
+        }
+      }
+    } catch (e) {
+      // Ignore
+    }
+  }
+
+  // Wait for redirect to login
+  await page.waitForTimeout(timeouts.redirect);
+
+  let currentUrl = page.url();
+  log.debug(`Current URL: ${currentUrl}`);
+
+  // Check if redirected to Google login
+  const needsLogin = target.loginPattern.test(currentUrl);
+
+  setPhase('login');
+  let isLoggedIn = false;
+
+  if (needsLogin) {
+    emit(events, 'login_required', { email, headless, url: currentUrl });
+
+    if (headless) {
+      log.warn(`Login required - cannot proceed in headless mode`, elapsed());
+      log.warn(`Run without --headless to login manually`);
+      return fail('login_required');
+    }
+
+    let loginIssue = null;
+    let passwordSubmitted = false;
+
+    // Pre-fill email with human-like typing
+    try {
+      await page.waitForSelector('input[type="email"]', { timeout: timeouts.emailField });
+      log.info(`Entering email...`);
+
+      // Click and type like a human
+      await page.click('input[type="email"]');
+      await page.waitForTimeout(200 + Math.random() * 300);
+      await page.type('input[type="email"]', email, { delay: 50 + Math.random() * 50 });
+      await page.waitForTimeout(300 + Math.random() * 400);
+      await page.keyboard.press('Enter');
+      await page.waitForTimeout(timeouts.emailSubmit + Math.random() * 1000);
+
+      // Pre-fill password if provided
+      if (password) {
+        try {
+          await page.waitForSelector('input[type="password"]', { timeout: timeouts.passwordField });
+
+          let secret = null;
+          try {
+            secret = await resolvePassword(password);
+          } catch (e) {
+            log.warn(`Could not resolve password: ${e.message}`);
+          }
+
+          if (secret) {
+            log.info(`Entering password...`);
+
+            await page.click('input[type="password"]');
+            await page.waitForTimeout(200 + Math.random() * 300);
+            await page.type('input[type="password"]', secret, { delay: 50 + Math.random() * 50 });
+            await page.waitForTimeout(300 + Math.random() * 400);
+            await page.keyboard.press('Enter');
+            passwordSubmitted = true;
+            log.info(`Credentials submitted, waiting for login...`);
+          } else {
+            log.info(`Please enter password manually...`);
+          }
+        } catch (e) {
+          log.warn(`Password field not found, please enter manually`);
+        }
+      } else {
+        log.info(`Email entered - please enter password manually...`);
+      }
+    } catch (e) {
+      loginIssue = 'email_field_not_found';
+      log.warn(`Could not pre-fill email, please login manually`);
+    }
+
+    log.info(`Waiting for login...`);
+
+    try {
+      await page.waitForURL((url) => {
+        const urlStr = url.toString();
+        return target.appPattern.test(urlStr) && !target.loginPattern.test(urlStr);
+      }, { timeout: timeouts.login });
+
+      log.info(`Login successful!`);
+      await page.waitForTimeout(timeouts.settle);
+    } catch (e) {
+      const error = await diagnoseLogin(page, { passwordSubmitted, issue: loginIssue });
+      log.warn(`Login timeout or cancelled (${error})`, elapsed());
+      return fail(error);
+    }
+  } else {
+    // Check if we're logged in by looking for user avatar or account menu
+    const loggedInIndicators = [
+      'img[alt*="avatar"]',
+      'img[alt*="profile"]',
+      '[aria-label*="Account"]',
+      '[aria-label*="Google Account"]',
+    ];
+
+    for (const selector of loggedInIndicators) {
+      try {
+        const el = await page.$(selector);
+        if (el && await el.isVisible()) {
+          isLoggedIn = true;
+          break;
+        }
+      } catch (e) {}
+    }
+
+    if (isLoggedIn) {
+      log.info(`Already logged in!`);
+    } else {
+      // Not redirected to login, but might not be logged in
+      // Wait and see if token gets captured
+      log.debug(`Checking login status...`);
+    }
+  }
+
+  // Until a token arrives, `ms` pass or the run is cancelled
+  const waitForToken = async (ms) => {
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(resolve, ms); });
+    await Promise.race([tokenPromise, timeout, aborted]);
+    clearTimeout(timer);
+  };
+
+  // Wait for token
+  setPhase('capture');
+  if (!capturedToken) {
+    log.info(`Waiting for API request to capture token...`);
+
+    // Try to trigger API call
+    try {
+      await page.waitForLoadState('networkidle', { timeout: timeouts.networkIdle });
+      await page.evaluate(() => window.scrollBy(0, 100));
+      await page.waitForTimeout(timeouts.apiTrigger);
+    } catch (e) {}
+
+    await waitForToken(timeouts.token);
+  }
+
+  // If still no token, wait longer for manual interaction
+  if (!capturedToken && !headless) {
+    log.warn(`No token yet - interact with the page to trigger API calls`);
+    log.info(`Waiting up to ${Math.round(timeouts.manual / 1000)} more seconds...`);
+
+    await waitForToken(timeouts.manual);
+  }
+
+  if (!capturedToken && browserClosed && !signal?.aborted) {
+    const message = 'The browser closed before a token was captured';
+    log.error(message, elapsed());
+    return fail('unexpected_error', message);
+  }
+
+  if (!capturedToken) {
+    // Not on a login page, no avatar and nothing to click: the page
+    // probably changed, rather than the API being slow
+    const error = !clickedButton && !needsLogin && !isLoggedIn ? 'login_trigger_not_found' : 'token_timeout';
+    log.error(`Failed to capture token (${error})`, elapsed());
+    return fail(error);
+  }
+
+  await context.close();
+
+  saveToken(email, capturedToken, {
+    credits: capturedCredits?.credits ?? null,
+    tier: capturedCredits?.userPaygateTier ?? null,
+    lifetimeMs: tokenLifetimeMs,
+  });
+  log.info(`Token saved!`, elapsed());
+  return {
+    email,
+    success: true,
+    token: capturedToken,
+    credits: capturedCredits?.credits ?? null,
+    tier: capturedCredits?.userPaygateTier ?? null,
+  };
+}
+
+export async function processEmails(emails, options = {}) {
+  const results = [];
+  const accounts = loadAccounts();
+
+  for (const email of emails) {
+    // Accounts not started yet are left out of the results
+    if (options.signal?.aborted) break;
+    const password = accounts[sanitizeEmail(email)] || null;
+    const result = await getFlowToken(email, { ...options, password });
+    results.push(result);
+  }
+
+  return results;
+}
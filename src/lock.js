@@ -0,0 +1,21 @@
+/**
+ * Serialize async work within this process: `run(fn)` waits for every
+ * previously queued call to settle before starting `fn`. Used so scheduled
+ * runs and on-demand refreshes never drive Chrome at the same time.
+ */
+export function createRunLock() {
+  let tail = Promise.resolve();
+  let pending = 0;
+
+  return {
+    run(fn) {
+      pending++;
+      const result = tail.then(fn);
+      tail = result.catch(() => {}).finally(() => {
+        pending--;
+      });
+      return result;
+    },
+    isBusy: () => pending > 0,
+  };
+}
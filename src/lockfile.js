@@ -0,0 +1,165 @@
+import { openSync, writeSync, fsyncSync, closeSync, renameSync, unlinkSync, readFileSync, statSync, mkdirSync } from 'fs';
+import { dirname, basename, join } from 'path';
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+import { AUTH_DIR, getProfileDir } from './paths.js';
+
+const DATA_LOCK_WAIT_MS = 10000;
+const RETRY_MS = 50;
+// A lock file that is still empty this long after creation was left by a
+// process that died between creating and writing it
+const EMPTY_LOCK_STALE_MS = 10000;
+
+/**
+ * Write `data` to a temp file next to `file`, fsync it and rename it over
+ * `file`, so readers see either the old or the new contents, never a mix.
+ */
+export function writeFileAtomic(file, data, { mode = 0o666 } = {}) {
+  const tmp = join(dirname(file), `.${basename(file)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+  const fd = openSync(tmp, 'w', mode);
+  try {
+    writeSync(fd, data);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  try {
+    renameSync(tmp, file);
+  } catch (e) {
+    try { unlinkSync(tmp); } catch (err) {}
+    throw e;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+export function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function readHolder(lockFile) {
+  try {
+    return JSON.parse(readFileSync(lockFile, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isStale(lockFile, holder) {
+  if (!holder) {
+    try {
+      return Date.now() - statSync(lockFile).mtimeMs > EMPTY_LOCK_STALE_MS;
+    } catch (e) {
+      return e.code === 'ENOENT';
+    }
+  }
+  // A pid on another machine (shared home directory) can't be checked
+  return holder.hostname === hostname() && !isAlive(holder.pid);
+}
+
+// Create the lock file, or return its current holder ({ pid } or null when
+// unreadable) if someone else has it. Stale locks are removed and retaken.
+function tryAcquire(lockFile) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(lockFile, 'wx', 0o600);
+      writeSync(fd, JSON.stringify({ pid: process.pid, hostname: hostname(), acquiredAt: new Date().toISOString() }));
+      closeSync(fd);
+      return null;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const holder = readHolder(lockFile);
+    if (!isStale(lockFile, holder)) return holder ?? { pid: null };
+    try { unlinkSync(lockFile); } catch (e) {}
+  }
+  return readHolder(lockFile) ?? { pid: null };
+}
+
+function lockedError(what, holder) {
+  const by = holder.pid ? `pid ${holder.pid}${holder.pid === process.pid ? ' (this process)' : ''}` : 'another process';
+  return Object.assign(new Error(`${what} is in use by ${by}`), { code: 'ELOCKED', pid: holder.pid });
+}
+
+/**
+ * Take an exclusive lock by creating `lockFile`, waiting up to `waitMs` for
+ * another holder to let go. Returns a release function; throws an error with
+ * code 'ELOCKED' naming the holder's pid otherwise.
+ */
+export function acquireLock(lockFile, { what = lockFile, waitMs = 0 } = {}) {
+  mkdirSync(dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + waitMs;
+  let holder = tryAcquire(lockFile);
+  while (holder && Date.now() < deadline) {
+    sleepSync(RETRY_MS);
+    holder = tryAcquire(lockFile);
+  }
+  if (holder) throw lockedError(what, holder);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    try { unlinkSync(lockFile); } catch (e) {}
+  };
+}
+
+export function lockHolder(lockFile) {
+  const holder = readHolder(lockFile);
+  return holder && !isStale(lockFile, holder) ? holder : null;
+}
+
+let dataLockDepth = 0;
+let releaseDataLock = null;
+
+/**
+ * Run `fn` (synchronously) holding the data directory lock, so concurrent
+ * processes can't interleave read-modify-write cycles on tokens.json,
+ * accounts.json and friends. Nested calls reuse the outer lock.
+ */
+export function withDataLock(fn) {
+  if (dataLockDepth === 0) {
+    releaseDataLock = acquireLock(join(AUTH_DIR, '.lock'), { what: 'The data directory', waitMs: DATA_LOCK_WAIT_MS });
+  }
+  dataLockDepth++;
+  try {
+    return fn();
+  } finally {
+    dataLockDepth--;
+    if (dataLockDepth === 0) {
+      releaseDataLock();
+      releaseDataLock = null;
+    }
+  }
+}
+
+// The lock sits next to the profile directory, not in it, so removing the
+// profile for a forced login keeps the lock.
+function profileLockFile(email) {
+  return `${getProfileDir(email)}.lock`;
+}
+
+/**
+ * Lock the Chrome profile for `email` before launching it. Throws
+ * "Profile for <email> is in use by pid N" (code 'ELOCKED') if another run
+ * has it open.
+ */
+export function acquireProfileLock(email) {
+  return acquireLock(profileLockFile(email), { what: `Profile for ${email}` });
+}
+
+// Throw if a run in another process has the profile open
+export function assertProfileNotInUse(email) {
+  const holder = lockHolder(profileLockFile(email));
+  if (holder && holder.pid !== process.pid) {
+    throw lockedError(`Profile for ${email}`, holder);
+  }
+}
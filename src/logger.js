@@ -0,0 +1,106 @@
+// Leveled logger with token redaction. Text output keeps the familiar
+// "[email] message" lines; JSON output emits one object per line with the
+// bound fields (email, phase, durationMs, ...) for log shippers.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const config = {
+  level: 'info',
+  format: 'text',
+  revealTokens: false,
+};
+
+const BEARER_PATTERN = /Bearer\s+([A-Za-z0-9._~+/=-]+)/g;
+const GOOGLE_TOKEN_PATTERN = /ya29\.[A-Za-z0-9._-]+/g;
+
+export function configureLogger(options = {}) {
+  if (options.level !== undefined) {
+    if (!(options.level in LEVELS)) {
+      throw new Error(`Unknown log level: ${options.level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    config.level = options.level;
+  }
+  if (options.format !== undefined) {
+    if (options.format !== 'text' && options.format !== 'json') {
+      throw new Error(`Unknown log format: ${options.format} (expected text or json)`);
+    }
+    config.format = options.format;
+  }
+  if (options.revealTokens !== undefined) {
+    config.revealTokens = Boolean(options.revealTokens);
+  }
+}
+
+export function getLoggerConfig() {
+  return { ...config };
+}
+
+export function maskToken(token) {
+  if (!token || config.revealTokens) return token;
+  if (token.length <= 12) return '****';
+  return `${token.slice(0, 6)}...${token.slice(-4)}`;
+}
+
+// Remove every bearer token from text written to disk, even with
+// revealTokens on
+export function stripTokens(text) {
+  return text.replace(BEARER_PATTERN, 'Bearer [redacted]').replace(GOOGLE_TOKEN_PATTERN, '[redacted]');
+}
+
+// Mask anything that looks like a bearer token inside free text.
+export function redact(text) {
+  if (config.revealTokens || typeof text !== 'string') return text;
+  return text
+    .replace(BEARER_PATTERN, (match, token) => `Bearer ${maskToken(token)}`)
+    .replace(GOOGLE_TOKEN_PATTERN, (token) => maskToken(token));
+}
+
+function redactFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (typeof value === 'string') {
+      out[key] = /token/i.test(key) ? maskToken(value) : redact(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function write(level, bound, message, fields) {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (config.format === 'json') {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redact(message.trim()),
+      ...redactFields({ ...bound, ...fields }),
+    };
+    stream.write(JSON.stringify(entry) + '\n');
+    return;
+  }
+
+  // Preserve leading blank lines used to separate sections in text mode
+  const leading = message.match(/^\n*/)[0];
+  const prefix = bound.email ? `[${bound.email}] ` : '';
+  stream.write(`${leading}${prefix}${redact(message.slice(leading.length))}\n`);
+}
+
+/**
+ * Create a logger with fields bound to every entry, e.g.
+ * `createLogger({ email })`. `child(fields)` adds more bound fields.
+ */
+export function createLogger(bound = {}) {
+  return {
+    debug: (message, fields = {}) => write('debug', bound, message, fields),
+    info: (message, fields = {}) => write('info', bound, message, fields),
+    warn: (message, fields = {}) => write('warn', bound, message, fields),
+    error: (message, fields = {}) => write('error', bound, message, fields),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,193 @@
+import http from 'http';
+
+// A small stand-in for Google Flow and its sign-in pages, so getFlowToken can
+// be exercised offline. Pass `mock.target` as `options.target`.
+
+const SESSION_COOKIE = 'mock_flow_session';
+
+function page(title, body) {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+function sessionEmail(req) {
+  const cookies = Object.fromEntries((req.headers.cookie || '').split(';')
+    .map(c => c.trim().split('='))
+    .filter(([name]) => name));
+  return cookies[SESSION_COOKIE] ? decodeURIComponent(cookies[SESSION_COOKIE]) : null;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the mock server. Options:
+ *   password      accepted password for any email (default 'mock-password')
+ *   token         bearer token the app sends to the fake API
+ *   credits, tier returned by /v1/credits
+ *   requireLogin  false serves the app without signing in
+ *   issueToken    false serves the app without any API calls (no token)
+ *   verification  true sends a correct password on to a 2-Step Verification
+ *                 page that never completes
+ *
+ * The pages live under /fx/tools/flow (app), /signin (email and password
+ * forms) and /v1/* (fake aisandbox API). Options can be changed on
+ * `mock.options` between runs.
+ */
+export function createMockFlowServer(options = {}) {
+  const opts = {
+    password: 'mock-password',
+    token: 'ya29.mock-flow-token-0123456789',
+    credits: 880,
+    tier: 'PAYGATE_TIER_ONE',
+    requireLogin: true,
+    issueToken: true,
+    verification: false,
+    ...options,
+  };
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization ?? null });
+
+    try {
+      if (url.pathname === '/fx/tools/flow') {
+        const email = sessionEmail(req);
+        if (!email && opts.requireLogin) {
+          return send(res, 200, page('Flow', `
+<h1>Flow</h1>
+<a href="/signin?continue=${encodeURIComponent('/fx/tools/flow')}">Sign in</a>`));
+        }
+        const apiCall = opts.issueToken
+          ? `<script>
+fetch('/v1/credits', { headers: { Authorization: 'Bearer ${opts.token}' } });
+</script>`
+          : '';
+        return send(res, 200, page('Flow', `
+<h1>Flow</h1>
+<img alt="avatar" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" width="32" height="32">
+<p>${escapeHtml(email || 'guest')}</p>
+${apiCall}`));
+      }
+
+      if (url.pathname === '/signin' && req.method === 'GET') {
+        return send(res, 200, page('Sign in', `
+<form method="post" action="/signin/identifier">
+  <input type="email" name="identifier" autofocus>
+</form>`));
+      }
+
+      if (url.pathname === '/signin/identifier' && req.method === 'POST') {
+        const form = await readForm(req);
+        res.writeHead(302, { Location: `/signin/challenge?email=${encodeURIComponent(form.identifier || '')}` });
+        return res.end();
+      }
+
+      if (url.pathname === '/signin/challenge/totp') {
+        return send(res, 200, page('2-Step Verification', `
+<h1>2-Step Verification</h1>
+<form method="post" action="/signin/challenge/totp">
+  <input type="tel" name="code" autofocus>
+</form>`));
+      }
+
+      if (url.pathname === '/signin/challenge') {
+        const form = req.method === 'POST' ? await readForm(req) : {};
+        const email = form.email ?? url.searchParams.get('email') ?? '';
+
+        if (req.method === 'POST' && form.password === opts.password && opts.verification) {
+          res.writeHead(302, { Location: '/signin/challenge/totp' });
+          return res.end();
+        }
+
+        if (req.method === 'POST' && form.password === opts.password) {
+          res.writeHead(302, {
+            Location: '/fx/tools/flow',
+            'Set-Cookie': `${SESSION_COOKIE}=${encodeURIComponent(email)}; Path=/; Max-Age=86400; HttpOnly`,
+          });
+          return res.end();
+        }
+
+        const error = req.method === 'POST' ? '<p role="alert">Wrong password</p>' : '';
+        return send(res, 200, page('Sign in', `
+<form method="post" action="/signin/challenge">
+  <input type="hidden" name="email" value="${escapeHtml(email)}">
+  <input type="password" name="password" autofocus>
+  ${error}
+</form>`));
+      }
+
+      if (url.pathname.startsWith('/v1/')) {
+        if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+          return sendJson(res, 401, { error: 'unauthenticated' });
+        }
+        if (url.pathname === '/v1/credits') {
+          return sendJson(res, 200, { credits: opts.credits, userPaygateTier: opts.tier });
+        }
+        return sendJson(res, 200, {});
+      }
+
+      send(res, 404, page('Not found', '<h1>Not found</h1>'));
+    } catch (e) {
+      sendJson(res, 500, { error: e.message });
+    }
+  });
+
+  return { server, options: opts, requests };
+}
+
+/**
+ * Start the mock on `port` (0 picks a free one) and resolve with its URL,
+ * the `target` to pass to getFlowToken, and `close()`.
+ */
+export async function startMockFlowServer({ host = '127.0.0.1', port = 0, ...options } = {}) {
+  const mock = createMockFlowServer(options);
+  await new Promise((resolve, reject) => {
+    mock.server.once('error', reject);
+    mock.server.listen(port, host, resolve);
+  });
+
+  const origin = `http://${host}:${mock.server.address().port}`;
+  const escaped = origin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    ...mock,
+    url: origin,
+    target: {
+      flowUrl: `${origin}/fx/tools/flow`,
+      apiPattern: new RegExp(`^${escaped}/v1/`),
+      creditsPattern: new RegExp(`^${escaped}/v1/credits`),
+      loginPattern: /\/signin/,
+      appPattern: new RegExp(`^${escaped}/fx/`),
+    },
+    close: () => new Promise((resolve) => {
+      mock.server.closeAllConnections();
+      mock.server.close(() => resolve());
+    }),
+  };
+}
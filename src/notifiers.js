@@ -0,0 +1,201 @@
+import { existsSync, readFileSync } from 'fs';
+import { NOTIFIERS_FILE, NOTIFY_STATE_FILE, ensureDirs, sanitizeEmail } from './paths.js';
+import { passwordSource, resolvePassword } from './secrets.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './lockfile.js';
+import { ERROR_CODES, normalizeErrorCode, describeError } from './errors.js';
+
+// Alerts fire once when a problem starts (or changes), then stay quiet until
+// it is resolved or `repeatAfterHours` has passed. State lives in
+// notify-state.json so the daemon doesn't re-alert every night.
+
+const DEFAULT_RULES = {
+  lowCredits: null,
+  // A cancelled run says nothing about the account
+  failures: Object.keys(ERROR_CODES).filter(code => code !== 'aborted'),
+  notifyResolved: true,
+  repeatAfterHours: null,
+};
+
+export function loadNotifierConfig() {
+  if (!existsSync(NOTIFIERS_FILE)) {
+    throw new Error(`No notifiers.json found at: ${NOTIFIERS_FILE}`);
+  }
+  return JSON.parse(readFileSync(NOTIFIERS_FILE, 'utf-8'));
+}
+
+function loadState() {
+  if (!existsSync(NOTIFY_STATE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(NOTIFY_STATE_FILE, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveState(state) {
+  ensureDirs();
+  writeFileAtomic(NOTIFY_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function rulesFor(config, email) {
+  const overrides = config.accounts?.[sanitizeEmail(email)] || {};
+  return { ...DEFAULT_RULES, ...config.rules, ...overrides };
+}
+
+// Which problems does this result show? A failed run says nothing about
+// credits, so low_credits is only evaluated on success.
+function problemsFor(result, rules) {
+  const problems = {};
+  if (!result.success && rules.failures.map(normalizeErrorCode).includes(result.error)) {
+    problems.failure = { error: result.error, message: `Token refresh failed: ${result.error} (${describeError(result.error)})` };
+  }
+  if (result.success && rules.lowCredits !== null && result.credits !== null && result.credits < rules.lowCredits) {
+    problems.low_credits = {
+      credits: result.credits,
+      threshold: rules.lowCredits,
+      message: `Credits ${result.credits} below threshold ${rules.lowCredits}`,
+    };
+  }
+  return problems;
+}
+
+/**
+ * Compare results against the alert rules and the previous state. Returns the
+ * alerts to send and the state to persist once they have been delivered.
+ */
+export function evaluateAlerts(results, config, state = {}, now = new Date()) {
+  const alerts = [];
+  const nextState = JSON.parse(JSON.stringify(state));
+
+  for (const result of results) {
+    const email = sanitizeEmail(result.email);
+    const rules = rulesFor(config, email);
+    if (rules.muted) continue;
+
+    const problems = problemsFor(result, rules);
+    const accountState = nextState[email] || {};
+    const kinds = result.success ? ['failure', 'low_credits'] : ['failure'];
+
+    for (const kind of kinds) {
+      const problem = problems[kind];
+      const previous = accountState[kind];
+
+      if (problem) {
+        const changed = previous && kind === 'failure' && previous.error !== problem.error;
+        const repeatDue = previous && rules.repeatAfterHours !== null &&
+          now - new Date(previous.lastSentAt) >= rules.repeatAfterHours * 60 * 60 * 1000;
+
+        if (!previous || changed || repeatDue) {
+          const since = previous && !changed ? previous.since : now.toISOString();
+          alerts.push({ email, kind, status: 'firing', since, ...problem });
+          accountState[kind] = { since, lastSentAt: now.toISOString(), error: problem.error ?? null };
+        }
+      } else if (previous) {
+        if (rules.notifyResolved) {
+          alerts.push({ email, kind, status: 'resolved', since: previous.since, message: `Resolved: ${kind}` });
+        }
+        delete accountState[kind];
+      }
+    }
+
+    if (Object.keys(accountState).length > 0) {
+      nextState[email] = accountState;
+    } else {
+      delete nextState[email];
+    }
+  }
+
+  return { alerts, nextState };
+}
+
+function formatAlert(alert) {
+  const icon = alert.status === 'resolved' ? '✓' : '✗';
+  return `${icon} ${alert.email}: ${alert.message}`;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+}
+
+const NOTIFIER_TYPES = {
+  webhook: (options) => ({
+    name: `webhook:${options.url}`,
+    send: (alerts) => postJson(options.url, { source: 'flowkey-auto', alerts }, options.headers),
+  }),
+
+  slack: (options) => ({
+    name: 'slack',
+    send: (alerts) => postJson(options.webhookUrl, {
+      text: [`*flowkey-auto*: ${alerts.length} alert(s)`, ...alerts.map(formatAlert)].join('\n'),
+    }),
+  }),
+
+  smtp: (options) => ({
+    name: `smtp:${options.host}`,
+    send: async (alerts) => {
+      const { default: nodemailer } = await import('nodemailer');
+      const pass = await resolvePassword(passwordSource(options));
+      const transport = nodemailer.createTransport({
+        host: options.host,
+        port: options.port ?? 587,
+        secure: options.secure ?? false,
+        auth: options.user ? { user: options.user, pass } : undefined,
+      });
+      await transport.sendMail({
+        from: options.from,
+        to: options.to,
+        subject: `flowkey-auto: ${alerts.length} alert(s)`,
+        text: alerts.map(formatAlert).join('\n'),
+      });
+    },
+  }),
+};
+
+export function createNotifier(options) {
+  const factory = NOTIFIER_TYPES[options.type];
+  if (!factory) {
+    throw new Error(`Unknown notifier type: ${options.type} (expected ${Object.keys(NOTIFIER_TYPES).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Evaluate results, send any new alerts to every configured notifier and
+ * persist the de-duplication state. State is only saved when all notifiers
+ * succeed, so a failed delivery is retried on the next run.
+ */
+export async function notify(results, config = loadNotifierConfig()) {
+  const { alerts, nextState } = evaluateAlerts(results, config, loadState());
+
+  if (alerts.length === 0) {
+    saveState(nextState);
+    logger.debug('No new alerts');
+    return { success: true, sent: 0 };
+  }
+
+  const notifiers = (config.notifiers || []).map(createNotifier);
+  logger.info(`\nSending ${alerts.length} alert(s) to ${notifiers.length} notifier(s)...`);
+
+  let failed = 0;
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(alerts);
+    } catch (e) {
+      failed++;
+      logger.warn(`Notifier ${notifier.name} failed: ${e.message}`);
+    }
+  }
+
+  if (failed === 0) {
+    saveState(nextState);
+  }
+  return { success: failed === 0, sent: alerts.length };
+}
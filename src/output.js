@@ -0,0 +1,122 @@
+import { logger, getLoggerConfig, maskToken } from './logger.js';
+import { summarizeHistory } from './store.js';
+import { formatDuration } from './duration.js';
+import { STATUS_STATES } from './status.js';
+
+export function printResults(results) {
+  const successful = results.filter(r => r.success).length;
+  const totalCredits = results.filter(r => r.success && r.credits !== null).reduce((sum, r) => sum + r.credits, 0);
+
+  // In JSON log mode emit one structured entry per account instead of a table
+  if (getLoggerConfig().format === 'json') {
+    for (const r of results) {
+      const fields = { email: r.email, success: r.success, credits: r.credits, tier: r.tier, error: r.error, message: r.message, durationMs: r.timings?.durationMs, diagnostics: r.diagnostics };
+      if (r.success) {
+        logger.info('result', fields);
+      } else {
+        logger.warn('result', fields);
+      }
+    }
+    logger.info('summary', { succeeded: successful, total: results.length, totalCredits });
+    return;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('RESULTS');
+  console.log('='.repeat(60));
+
+  for (const r of results) {
+    if (r.success) {
+      const creditsInfo = r.credits !== null ? ` | Credits: ${r.credits}` : '';
+      const tierInfo = r.tier ? ` (${r.tier})` : '';
+      console.log(`✓ ${r.email}${creditsInfo}${tierInfo}`);
+    } else {
+      const messageInfo = r.message ? ` - ${r.message}` : '';
+      const bundleInfo = r.diagnostics ? ` (diagnostics: ${r.diagnostics})` : '';
+      console.log(`✗ ${r.email}: ${r.error}${messageInfo}${bundleInfo}`);
+    }
+  }
+
+  console.log(`\n${successful}/${results.length} succeeded`);
+  if (totalCredits > 0) {
+    console.log(`Total credits: ${totalCredits}`);
+  }
+}
+
+// --json is an explicit request for the tokens themselves, so they are shown
+// in full unless the caller asks for the logger's masking rules.
+export function printTokensJson(results, { mask = false } = {}) {
+  const successful = results.filter(r => r.success);
+  const output = successful.map(r => ({
+    email: r.email,
+    token: mask ? maskToken(r.token) : r.token,
+    credits: r.credits,
+    tier: r.tier,
+  }));
+  console.log(JSON.stringify(output, null, 2));
+}
+
+export function printHistory(email, entries) {
+  if (entries.length === 0) {
+    console.log(`No history for ${email}`);
+    return;
+  }
+
+  console.log(`History for ${email}:\n`);
+  let previousCredits = null;
+  for (const e of entries) {
+    const mark = e.outcome === 'success' ? '✓' : '✗';
+    let creditsInfo = '';
+    if (e.credits !== null) {
+      const delta = previousCredits !== null ? e.credits - previousCredits : 0;
+      const deltaInfo = delta !== 0 ? ` (${delta > 0 ? '+' : ''}${delta})` : '';
+      creditsInfo = ` | Credits: ${e.credits}${deltaInfo}`;
+      previousCredits = e.credits;
+    }
+    const errorInfo = e.error ? ` | ${e.error}` : '';
+    console.log(`  ${mark} ${e.at}${creditsInfo}${errorInfo}`);
+  }
+
+  const s = summarizeHistory(entries);
+  console.log(`\n${s.successes}/${s.runs} runs succeeded`);
+  if (s.lastCredits !== null) {
+    console.log(`Credits: ${s.firstCredits} -> ${s.lastCredits} (min ${s.minCredits}, max ${s.maxCredits})`);
+  }
+  console.log(`Failure streak: ${s.currentFailureStreak} current, ${s.longestFailureStreak} longest`);
+}
+
+function ago(ms) {
+  return ms === null ? '-' : `${formatDuration(ms)} ago`;
+}
+
+// The --list table; `rows` come from collectStatus()
+export function printStatus(rows, { now = new Date() } = {}) {
+  if (rows.length === 0) {
+    console.log('No accounts');
+    return;
+  }
+
+  const header = ['ACCOUNT', 'STATUS', 'PROFILE', 'TOKEN AGE', 'EXPIRES', 'CREDITS', 'LAST RUN', 'LAST ERROR'];
+  const table = rows.map(r => [
+    `${r.email}${r.configured ? '' : ' *'}`,
+    r.status,
+    r.profile ? 'yes' : 'no',
+    r.ageMs === null ? '-' : formatDuration(r.ageMs),
+    r.expiresInMs === null ? '-' : r.expiresInMs > 0 ? `in ${formatDuration(r.expiresInMs)}` : `${formatDuration(r.expiresInMs)} ago`,
+    r.credits === null ? '-' : `${r.credits}${r.tier ? ` (${r.tier})` : ''}`,
+    ago(r.lastRunAt ? now - new Date(r.lastRunAt) : null),
+    r.lastError ? `${r.lastError}${r.failureStreak > 1 ? ` (${r.failureStreak} in a row)` : ''}` : '-',
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...table.map(cells => cells[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(header));
+  for (const cells of table) console.log(line(cells));
+
+  const counts = STATUS_STATES
+    .map(state => [state, rows.filter(r => r.status === state).length])
+    .filter(([, n]) => n > 0)
+    .map(([state, n]) => `${n} ${state}`);
+  console.log(`\n${rows.length} account(s): ${counts.join(', ')}`);
+  if (rows.some(r => !r.configured)) console.log('* not in accounts.json');
+  if (rows.some(r => r.status === 'attention')) console.log('Accounts marked attention need a manual login: run --attend');
+}
@@ -0,0 +1,107 @@
+import { existsSync, mkdirSync, readdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+
+export const DEFAULT_HOME = join(homedir(), '.flowkey-auto');
+export const HOME_ENV = 'FLOWKEY_HOME';
+export const ENV_NAME_ENV = 'FLOWKEY_ENV';
+
+// The paths below are live bindings: setDataHome() reassigns them, and
+// modules importing them see the new values.
+export let DATA_HOME;
+export let ENV_NAME;
+export let AUTH_DIR;
+export let PROFILES_DIR;
+export let TOKENS_FILE;
+export let ACCOUNTS_FILE;
+export let HISTORY_FILE;
+export let NOTIFIERS_FILE;
+export let NOTIFY_STATE_FILE;
+export let SCHEDULE_STATE_FILE;
+export let SERVER_KEY_FILE;
+export let SINKS_FILE;
+export let OUTBOX_FILE;
+export let VAULT_FILE;
+export let DIAGNOSTICS_DIR;
+export let DAEMON_LOCK_FILE;
+export let DAEMON_PID_FILE;
+export let DAEMON_STATUS_FILE;
+export let ATTENTION_FILE;
+export let STORE_FILE;
+export let STORE_DB_FILE;
+// Files holding passwords or tokens, encrypted when the vault is enabled
+export let SECRET_FILES;
+export let FIREBASE_SERVICE_ACCOUNT_FILE;
+
+export function validateEnvName(name) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name ?? '')) {
+    throw new Error(`Invalid environment name "${name}" (use letters, digits, "-" and "_")`);
+  }
+  return name;
+}
+
+/**
+ * Point every data file at `home` (default: $FLOWKEY_HOME, else
+ * ~/.flowkey-auto). A named `env` gets its own directory, <home>/envs/<env>,
+ * with separate accounts, tokens, profiles and config. Call it before
+ * anything reads or writes data, and before unlocking the vault.
+ */
+export function setDataHome({ home, env } = {}) {
+  home = home || process.env[HOME_ENV] || DEFAULT_HOME;
+  env = env || process.env[ENV_NAME_ENV] || null;
+  if (env) validateEnvName(env);
+
+  DATA_HOME = resolve(home.startsWith('~/') ? homedir() + home.slice(1) : home);
+  ENV_NAME = env;
+  AUTH_DIR = env ? join(DATA_HOME, 'envs', env) : DATA_HOME;
+  PROFILES_DIR = join(AUTH_DIR, 'profiles');
+  TOKENS_FILE = join(AUTH_DIR, 'tokens.json');
+  ACCOUNTS_FILE = join(AUTH_DIR, 'accounts.json');
+  HISTORY_FILE = join(AUTH_DIR, 'history.jsonl');
+  NOTIFIERS_FILE = join(AUTH_DIR, 'notifiers.json');
+  NOTIFY_STATE_FILE = join(AUTH_DIR, 'notify-state.json');
+  SCHEDULE_STATE_FILE = join(AUTH_DIR, 'schedule-state.json');
+  SERVER_KEY_FILE = join(AUTH_DIR, 'server-key');
+  SINKS_FILE = join(AUTH_DIR, 'sinks.json');
+  OUTBOX_FILE = join(AUTH_DIR, 'outbox.json');
+  VAULT_FILE = join(AUTH_DIR, 'vault.json');
+  DIAGNOSTICS_DIR = join(AUTH_DIR, 'diagnostics');
+  DAEMON_LOCK_FILE = join(AUTH_DIR, 'daemon.lock');
+  DAEMON_PID_FILE = join(AUTH_DIR, 'daemon.pid');
+  DAEMON_STATUS_FILE = join(AUTH_DIR, 'daemon-status.json');
+  ATTENTION_FILE = join(AUTH_DIR, 'attention.json');
+  STORE_FILE = join(AUTH_DIR, 'store.json');
+  STORE_DB_FILE = join(AUTH_DIR, 'store.db');
+  SECRET_FILES = [ACCOUNTS_FILE, TOKENS_FILE, OUTBOX_FILE];
+  FIREBASE_SERVICE_ACCOUNT_FILE = join(AUTH_DIR, 'firebase-service-account.json');
+  return AUTH_DIR;
+}
+
+setDataHome();
+
+// Names of the environments under the data home
+export function listEnvironments() {
+  const dir = join(DATA_HOME, 'envs');
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort();
+}
+
+// Create the data directories on first use rather than at import time,
+// so embedding the library has no filesystem side effects.
+export function ensureDirs() {
+  if (!existsSync(AUTH_DIR)) {
+    mkdirSync(AUTH_DIR, { recursive: true });
+  }
+  if (!existsSync(PROFILES_DIR)) {
+    mkdirSync(PROFILES_DIR, { recursive: true });
+  }
+}
+
+export function sanitizeEmail(email) {
+  return email.toLowerCase().trim();
+}
+
+export function getProfileDir(email) {
+  const sanitized = sanitizeEmail(email).replace(/@/g, '_at_').replace(/\./g, '_');
+  return join(PROFILES_DIR, sanitized);
+}
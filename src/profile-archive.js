@@ -0,0 +1,204 @@
+import { spawn } from 'child_process';
+import { createReadStream, createWriteStream, existsSync, openSync, readSync, closeSync, fstatSync, mkdirSync, readdirSync, renameSync, rmSync } from 'fs';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { basename, join } from 'path';
+import { pipeline } from 'stream/promises';
+import { PROFILES_DIR, ensureDirs, getProfileDir, sanitizeEmail } from './paths.js';
+import { acquireProfileLock } from './lockfile.js';
+import { deriveKey } from './vault.js';
+
+// A profile archive is one JSON header line followed by a gzipped tar of the
+// Chrome profile directory. In encrypted archives the tarball is AES-256-GCM
+// ciphertext, followed by the 16-byte auth tag at the very end of the file.
+
+export const PROFILE_PASSPHRASE_ENV = 'FLOWKEY_PROFILE_PASSPHRASE';
+const FORMAT = 'flowkey-profile';
+const ALGORITHM = 'aes-256-gcm';
+const TAG_LENGTH = 16;
+const MAX_HEADER_BYTES = 4096;
+
+// Caches and lock files Chrome rebuilds on its own. Leaving them out keeps
+// archives small and doesn't carry this machine's singleton locks along.
+const EXCLUDES = [
+  'Cache',
+  'Code Cache',
+  'GPUCache',
+  'DawnCache',
+  'DawnGraphiteCache',
+  'DawnWebGPUCache',
+  'GrShaderCache',
+  'GraphiteDawnCache',
+  'ShaderCache',
+  'CacheStorage',
+  'ScriptCache',
+  'Crashpad',
+  'component_crx_cache',
+  'Singleton*',
+];
+
+// Lets import reject a wrong passphrase before unpacking anything
+function keyCheck(key) {
+  return createHash('sha256').update(key).update(FORMAT).digest('base64');
+}
+
+function spawnTar(args, stdio) {
+  const child = spawn('tar', args, { stdio: [...stdio, 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  const exited = new Promise((resolve, reject) => {
+    child.once('error', (e) => reject(e.code === 'ENOENT' ? new Error('tar is needed for profile archives but was not found') : e));
+    child.once('close', (code) => code === 0
+      ? resolve()
+      : reject(new Error(`tar exited with code ${code}: ${stderr.trim().split('\n')[0]}`)));
+  });
+  return { child, exited };
+}
+
+/**
+ * Bundle the Chrome profile for `email` into `file`, encrypted when a
+ * `passphrase` is given. The profile is locked while it is read, so this
+ * fails with "Profile for <email> is in use" while a run has it open.
+ * Resolves to the archive header.
+ */
+export async function exportProfile(email, file, { passphrase = null } = {}) {
+  const profileDir = getProfileDir(email);
+  if (!existsSync(profileDir)) {
+    throw new Error(`No profile for ${email} at ${profileDir}`);
+  }
+
+  const release = acquireProfileLock(email);
+  const out = createWriteStream(file, { mode: 0o600 });
+  try {
+    const header = {
+      format: FORMAT,
+      version: 1,
+      email: sanitizeEmail(email),
+      exportedAt: new Date().toISOString(),
+      encrypted: Boolean(passphrase),
+    };
+    let cipher = null;
+    if (passphrase) {
+      const salt = randomBytes(16);
+      const iv = randomBytes(12);
+      const key = deriveKey(passphrase, salt);
+      cipher = createCipheriv(ALGORITHM, key, iv);
+      Object.assign(header, { kdf: 'scrypt', salt: salt.toString('base64'), iv: iv.toString('base64'), check: keyCheck(key) });
+    }
+    out.write(JSON.stringify(header) + '\n');
+
+    const excludes = EXCLUDES.map(pattern => `--exclude=${pattern}`);
+    const { child, exited } = spawnTar(['-czf', '-', ...excludes, '-C', PROFILES_DIR, basename(profileDir)], ['ignore', 'pipe']);
+    const stages = cipher ? [child.stdout, cipher] : [child.stdout];
+    await Promise.all([exited, pipeline(...stages, out, { end: false })]);
+    if (cipher) out.write(cipher.getAuthTag());
+    await new Promise((resolve, reject) => out.end((e) => e ? reject(e) : resolve()));
+    return header;
+  } catch (e) {
+    out.destroy();
+    rmSync(file, { force: true });
+    throw e;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Read the header of a profile archive without extracting it.
+ */
+export function readProfileArchiveHeader(file) {
+  const fd = openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(MAX_HEADER_BYTES);
+    const length = readSync(fd, buffer, 0, MAX_HEADER_BYTES, 0);
+    const newline = buffer.subarray(0, length).indexOf('\n');
+    let header = null;
+    try {
+      header = newline > 0 ? JSON.parse(buffer.subarray(0, newline).toString('utf-8')) : null;
+    } catch (e) {}
+    if (header?.format !== FORMAT) {
+      throw new Error(`${file} is not a profile archive`);
+    }
+    if (header.version !== 1) {
+      throw new Error(`${file} has unsupported archive version ${header.version}`);
+    }
+    return { header, dataStart: newline + 1, size: fstatSync(fd).size };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function readTag(file, size) {
+  const fd = openSync(file, 'r');
+  try {
+    const tag = Buffer.alloc(TAG_LENGTH);
+    readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    return tag;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Restore a profile archive as the profile for `email` (default: the account
+ * it was exported from). Refuses to replace an existing profile unless
+ * `force`, and fails if a run has the profile open. The archive is unpacked
+ * next to the profiles and only moved into place once it checks out, so a
+ * wrong passphrase or damaged archive leaves the current profile untouched.
+ * Resolves to { email, header }.
+ */
+export async function importProfile(file, { email = null, passphrase = null, force = false } = {}) {
+  const { header, dataStart, size } = readProfileArchiveHeader(file);
+  const target = sanitizeEmail(email ?? header.email);
+  if (header.encrypted && !passphrase) {
+    throw new Error(`${file} is encrypted; set ${PROFILE_PASSPHRASE_ENV} or enter the passphrase`);
+  }
+
+  ensureDirs();
+  const release = acquireProfileLock(target);
+  const staging = join(PROFILES_DIR, `.import-${randomBytes(4).toString('hex')}`);
+  try {
+    const profileDir = getProfileDir(target);
+    if (existsSync(profileDir) && !force) {
+      throw new Error(`${target} already has a profile; use --force to replace it`);
+    }
+
+    let decipher = null;
+    let end = size - 1;
+    if (header.encrypted) {
+      const key = deriveKey(passphrase, Buffer.from(header.salt, 'base64'));
+      if (keyCheck(key) !== header.check) {
+        throw new Error(`Could not decrypt ${file}: wrong passphrase`);
+      }
+      decipher = createDecipheriv(ALGORITHM, key, Buffer.from(header.iv, 'base64'));
+      decipher.setAuthTag(readTag(file, size));
+      end -= TAG_LENGTH;
+    }
+
+    mkdirSync(staging, { recursive: true });
+    const { child, exited } = spawnTar(['-xzf', '-', '-C', staging], ['pipe', 'ignore']);
+    const stages = [createReadStream(file, { start: dataStart, end }), ...(decipher ? [decipher] : [])];
+    try {
+      await Promise.all([exited, pipeline(...stages, child.stdin)]);
+    } catch (e) {
+      throw new Error(`Could not unpack ${file}, the archive may be damaged (${e.message})`);
+    }
+
+    const entries = readdirSync(staging);
+    if (entries.length !== 1) {
+      throw new Error(`${file} does not contain exactly one profile directory`);
+    }
+
+    if (existsSync(profileDir)) {
+      const old = `${profileDir}.old-${randomBytes(4).toString('hex')}`;
+      renameSync(profileDir, old);
+      renameSync(join(staging, entries[0]), profileDir);
+      rmSync(old, { recursive: true, force: true });
+    } else {
+      renameSync(join(staging, entries[0]), profileDir);
+    }
+    return { email: target, header };
+  } finally {
+    rmSync(staging, { recursive: true, force: true });
+    release();
+  }
+}
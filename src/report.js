@@ -0,0 +1,77 @@
+import { mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { describeError } from './errors.js';
+import { writeFileAtomic } from './lockfile.js';
+
+// Exit codes: 0 when the --fail-on policy is met, 1 for usage and setup
+// errors (bad flags, missing accounts.json), 2 when accounts failed.
+export const EXIT_OK = 0;
+export const EXIT_USAGE = 1;
+export const EXIT_FAILED = 2;
+
+export const FAIL_ON_POLICIES = ['any', 'all', 'none'];
+export const DEFAULT_FAIL_ON = 'any';
+
+export function validateFailOn(policy) {
+  if (!FAIL_ON_POLICIES.includes(policy)) {
+    throw new Error(`Invalid --fail-on "${policy}" (expected ${FAIL_ON_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * `any`: exit 2 if any account failed. `all`: only if every account failed.
+ * `none`: always 0. A run with no accounts to process exits 0.
+ */
+export function exitCodeFor(results, failOn = DEFAULT_FAIL_ON) {
+  const failed = results.filter(r => !r.success).length;
+  if (failed === 0 || failOn === 'none') return EXIT_OK;
+  if (failOn === 'all' && failed < results.length) return EXIT_OK;
+  return EXIT_FAILED;
+}
+
+/**
+ * Machine-readable summary of one run: outcome and timings per account,
+ * counts per error code. Tokens are left out.
+ */
+export function buildRunReport(results, { startedAt, failOn = DEFAULT_FAIL_ON } = {}) {
+  const finishedAt = new Date();
+  const errors = {};
+  for (const r of results) {
+    if (!r.success) errors[r.error] = (errors[r.error] ?? 0) + 1;
+  }
+
+  return {
+    startedAt: startedAt ? new Date(startedAt).toISOString() : (results[0]?.timings?.startedAt ?? finishedAt.toISOString()),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: startedAt ? finishedAt - new Date(startedAt) : null,
+    failOn,
+    exitCode: exitCodeFor(results, failOn),
+    summary: {
+      total: results.length,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      errors,
+    },
+    accounts: results.map(r => ({
+      email: r.email,
+      success: r.success,
+      error: r.error ?? null,
+      errorDescription: r.success ? null : describeError(r.error),
+      message: r.message ?? null,
+      credits: r.credits ?? null,
+      tier: r.tier ?? null,
+      diagnostics: r.diagnostics ?? null,
+      startedAt: r.timings?.startedAt ?? null,
+      durationMs: r.timings?.durationMs ?? null,
+      phases: r.timings?.phases ?? {},
+    })),
+  };
+}
+
+export function writeRunReport(file, report) {
+  const path = resolve(file);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileAtomic(path, JSON.stringify(report, null, 2) + '\n');
+  return path;
+}
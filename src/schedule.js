@@ -0,0 +1,313 @@
+import { existsSync, readFileSync } from 'fs';
+import cronParser from 'cron-parser';
+import { SCHEDULE_STATE_FILE, ensureDirs, sanitizeEmail } from './paths.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './lockfile.js';
+import { getToken, remainingLifetime } from './store.js';
+import { formatDuration } from './duration.js';
+
+const { parseExpression } = cronParser;
+
+export const DEFAULT_SCHEDULE = '0 0 * * *';
+
+// The scheduler never sleeps longer than this, so a suspended machine or a
+// clock jump is noticed within a minute of waking up.
+const MAX_SLEEP_MS = 60 * 1000;
+
+export function localTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function validateSchedule(expression, timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (e) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+  try {
+    parseExpression(expression, { tz: timezone });
+  } catch (e) {
+    throw new Error(`Invalid cron expression "${expression}": ${e.message}`);
+  }
+}
+
+export function nextRunTime(expression, timezone, from = new Date()) {
+  return parseExpression(expression, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+export function previousRunTime(expression, timezone, from = new Date()) {
+  return parseExpression(expression, { currentDate: from, tz: timezone }).prev().toDate();
+}
+
+function loadState() {
+  if (!existsSync(SCHEDULE_STATE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(SCHEDULE_STATE_FILE, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveState(state) {
+  ensureDirs();
+  writeFileAtomic(SCHEDULE_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// `onTick` runs at the start of every scheduler tick (at least once a
+// minute), e.g. to replay the outbox. Its errors never stop the scheduler.
+async function runTickHook(onTick) {
+  if (!onTick) return;
+  try {
+    await onTick();
+  } catch (e) {
+    logger.warn(`Tick hook failed: ${e.message}`);
+  }
+}
+
+// Put back the previous state of accounts a shutdown cancelled or never
+// reached, so the next start catches them up
+function restoreUnfinished(before, results) {
+  const finished = new Set(results.filter(r => r.error !== 'aborted').map(r => sanitizeEmail(r.email)));
+  const state = loadState();
+  for (const [email, previous] of Object.entries(before)) {
+    if (finished.has(email)) continue;
+    if (previous) {
+      state[email] = previous;
+    } else {
+      delete state[email];
+    }
+  }
+  saveState(state);
+}
+
+/**
+ * Run accounts on cron schedules. `getAccounts()` is called on every tick and
+ * returns `[{ email, schedule? }]`; accounts without their own schedule use
+ * `schedule`. `run(emails)` is awaited and never invoked concurrently: a
+ * trigger that fires while a run is in progress is coalesced into one
+ * follow-up run once it finishes.
+ *
+ * Each account's last covered trigger is persisted in schedule-state.json.
+ * On start (or after the machine wakes) accounts whose last trigger was
+ * missed are run immediately when `catchUp` is true, or skipped otherwise.
+ * Accounts never seen before run on the first tick. `run` may resolve to
+ * the results; if the scheduler is stopped mid-run, accounts without a
+ * finished result are caught up on the next start. `onNext(date)` is called
+ * whenever the next run time changes.
+ */
+export function createScheduler({ schedule = DEFAULT_SCHEDULE, timezone = localTimezone(), catchUp = true, getAccounts, run, onTick, onNext }) {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+  let announcedNext = null;
+  let nextAt = null;
+
+  function scheduleFor(account) {
+    return account.schedule || schedule;
+  }
+
+  function collectDue(accounts, state, now) {
+    const due = [];
+    for (const account of accounts) {
+      const email = sanitizeEmail(account.email);
+      const previous = previousRunTime(scheduleFor(account), timezone, now);
+      const last = state[email]?.lastScheduledAt;
+
+      if (last && new Date(last) >= previous) continue;
+
+      // A trigger older than one tick interval was missed (asleep, stopped)
+      const missed = last && now - previous > MAX_SLEEP_MS * 2;
+      if (missed && !catchUp) {
+        logger.info(`Skipping missed run for ${email} (was due ${previous.toISOString()})`);
+        state[email] = { ...state[email], lastScheduledAt: previous.toISOString() };
+        continue;
+      }
+      if (missed) {
+        logger.info(`Catching up missed run for ${email} (was due ${previous.toISOString()})`);
+      }
+      due.push({ email, previous });
+    }
+    return due;
+  }
+
+  function nextWake(accounts, now) {
+    let soonest = null;
+    for (const account of accounts) {
+      const next = nextRunTime(scheduleFor(account), timezone, now);
+      if (!soonest || next < soonest) soonest = next;
+    }
+    return soonest;
+  }
+
+  async function tick() {
+    timer = null;
+    if (stopped) return;
+    if (running) {
+      logger.debug('Previous run still in progress, deferring trigger');
+      return;
+    }
+
+    await runTickHook(onTick);
+
+    let accounts = [];
+    try {
+      accounts = getAccounts();
+    } catch (e) {
+      logger.error(`Could not load accounts: ${e.message}`);
+    }
+
+    const now = new Date();
+    const state = loadState();
+    const due = collectDue(accounts, state, now);
+
+    if (due.length > 0) {
+      const before = {};
+      for (const { email, previous } of due) {
+        before[email] = state[email];
+        state[email] = { ...state[email], lastScheduledAt: previous.toISOString(), lastRunAt: now.toISOString() };
+      }
+      saveState(state);
+
+      running = true;
+      let results = [];
+      try {
+        results = await run(due.map(d => d.email)) ?? [];
+      } catch (e) {
+        logger.error(`Scheduled run failed: ${e.message}`);
+      } finally {
+        running = false;
+      }
+      if (stopped) {
+        restoreUnfinished(before, results);
+        return;
+      }
+      announcedNext = null;
+      // Pick up anything that became due while we were running
+      return arm(0);
+    }
+
+    saveState(state);
+
+    const next = nextWake(accounts, new Date());
+    nextAt = next;
+    if (next && (!announcedNext || next.getTime() !== announcedNext.getTime())) {
+      announcedNext = next;
+      logger.info(`Next run scheduled in ${formatDuration(next - Date.now())} (at ${next.toISOString()}, ${timezone})`);
+      onNext?.(next);
+    }
+    arm(next ? Math.min(next - Date.now(), MAX_SLEEP_MS) : MAX_SLEEP_MS);
+  }
+
+  function arm(ms) {
+    if (stopped) return;
+    timer = setTimeout(tick, Math.max(ms, 0));
+  }
+
+  return {
+    start() {
+      stopped = false;
+      arm(0);
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    isRunning: () => running,
+    // When the next run is due, as of the last tick (null while running)
+    nextRunAt: () => running ? null : nextAt,
+  };
+}
+
+/**
+ * Refresh each account shortly before its token expires instead of on a
+ * fixed schedule. An account is due when it has no token or its token
+ * expires within `leadMs`. After a failed attempt the account waits
+ * `retryMs` before it is tried again, so a broken login doesn't relaunch
+ * Chrome every minute. Like createScheduler, runs never overlap. `now`
+ * returns the current time in ms and can be replaced in tests.
+ */
+export function createExpiryScheduler({ leadMs, retryMs = 15 * 60 * 1000, getAccounts, run, onTick, onNext, now = Date.now }) {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+  let announcedNext = null;
+  let nextAt = null;
+  const lastAttempt = new Map();
+
+  function dueAt(email) {
+    const at = now();
+    const remaining = remainingLifetime(getToken(email), new Date(at));
+    const refreshAt = remaining === null ? at : at + remaining - leadMs;
+    const attempt = lastAttempt.get(email);
+    return attempt ? Math.max(refreshAt, attempt + retryMs) : refreshAt;
+  }
+
+  async function tick() {
+    timer = null;
+    if (stopped || running) return;
+
+    await runTickHook(onTick);
+
+    let accounts = [];
+    try {
+      accounts = getAccounts();
+    } catch (e) {
+      logger.error(`Could not load accounts: ${e.message}`);
+    }
+
+    const emails = accounts.map(a => sanitizeEmail(a.email));
+    const due = emails.filter(email => dueAt(email) <= now());
+
+    if (due.length > 0) {
+      const startedAt = now();
+      for (const email of due) lastAttempt.set(email, startedAt);
+
+      running = true;
+      try {
+        await run(due);
+      } catch (e) {
+        logger.error(`Scheduled run failed: ${e.message}`);
+      } finally {
+        running = false;
+      }
+
+      // A fresh token means the retry delay no longer applies
+      for (const email of due) {
+        const entry = getToken(email);
+        if (entry && new Date(entry.updatedAt).getTime() >= startedAt) lastAttempt.delete(email);
+      }
+      announcedNext = null;
+      return arm(0);
+    }
+
+    const next = emails.length ? Math.min(...emails.map(dueAt)) : null;
+    nextAt = next ? new Date(next) : null;
+    if (next && next !== announcedNext) {
+      announcedNext = next;
+      logger.info(`Next refresh in ${formatDuration(next - now())} (at ${new Date(next).toISOString()})`);
+      onNext?.(nextAt);
+    }
+    arm(next ? Math.min(next - now(), MAX_SLEEP_MS) : MAX_SLEEP_MS);
+  }
+
+  function arm(ms) {
+    if (stopped) return;
+    timer = setTimeout(tick, Math.max(ms, 0));
+  }
+
+  return {
+    start() {
+      stopped = false;
+      arm(0);
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    isRunning: () => running,
+    // When the next run is due, as of the last tick (null while running)
+    nextRunAt: () => running ? null : nextAt,
+  };
+}
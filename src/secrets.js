@@ -0,0 +1,55 @@
+import { readFileSync } from 'fs';
+import { exec } from 'child_process';
+import { homedir } from 'os';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+const PASSWORD_COMMAND_TIMEOUT = 30000;
+
+// Strip the single trailing newline that files and commands usually add,
+// but keep any other whitespace since it may be part of the password.
+function stripNewline(value) {
+  return value.replace(/\r?\n$/, '');
+}
+
+function expandHome(path) {
+  return path.startsWith('~/') ? homedir() + path.slice(1) : path;
+}
+
+/**
+ * Turn an accounts.json entry into its password source. Literal passwords are
+ * returned as strings; `passwordEnv`, `passwordFile` and `passwordCommand`
+ * become functions that resolve the secret only when called, so nothing is
+ * read or executed until the login form actually asks for it.
+ */
+export function passwordSource(account) {
+  if (account.password) return account.password;
+
+  if (account.passwordEnv) {
+    return async () => {
+      const value = process.env[account.passwordEnv];
+      if (!value) throw new Error(`Environment variable ${account.passwordEnv} is not set`);
+      return value;
+    };
+  }
+
+  if (account.passwordFile) {
+    return async () => stripNewline(readFileSync(expandHome(account.passwordFile), 'utf-8'));
+  }
+
+  if (account.passwordCommand) {
+    return async () => {
+      const { stdout } = await execAsync(account.passwordCommand, { timeout: PASSWORD_COMMAND_TIMEOUT });
+      const value = stripNewline(stdout);
+      if (!value) throw new Error('passwordCommand produced no output');
+      return value;
+    };
+  }
+
+  return null;
+}
+
+export async function resolvePassword(source) {
+  return typeof source === 'function' ? source() : source;
+}
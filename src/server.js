@@ -0,0 +1,118 @@
+import http from 'http';
+import { existsSync, readFileSync } from 'fs';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { SERVER_KEY_FILE, ensureDirs, sanitizeEmail } from './paths.js';
+import { loadTokens, getToken, tokenExpiry } from './store.js';
+import { logger } from './logger.js';
+import { writeFileAtomic } from './lockfile.js';
+
+export const SERVER_KEY_ENV = 'FLOWKEY_SERVER_KEY';
+export const DEFAULT_PORT = 8787;
+
+// API key from FLOWKEY_SERVER_KEY, or one generated on first use and kept in
+// ~/.flowkey-auto/server-key so consumers on the host can read it.
+export function loadServerKey() {
+  if (process.env[SERVER_KEY_ENV]) return process.env[SERVER_KEY_ENV];
+  if (existsSync(SERVER_KEY_FILE)) return readFileSync(SERVER_KEY_FILE, 'utf-8').trim();
+  ensureDirs();
+  const key = randomBytes(24).toString('base64url');
+  writeFileAtomic(SERVER_KEY_FILE, key + '\n', { mode: 0o600 });
+  logger.info(`Generated server API key: ${SERVER_KEY_FILE}`);
+  return key;
+}
+
+function tokenView(email, entry) {
+  return {
+    email,
+    token: entry.token,
+    credits: entry.credits ?? null,
+    tier: entry.tier ?? null,
+    updatedAt: entry.updatedAt,
+    expiresAt: tokenExpiry(entry)?.toISOString() ?? null,
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function authorized(req, key) {
+  const header = req.headers['authorization'] || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(key);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Create the token HTTP server. `refresh(email)` runs getFlowToken for one
+ * account and resolves to its result; `isKnownAccount(email)` limits
+ * refreshes to configured accounts. Routes:
+ *
+ *   GET  /healthz          unauthenticated liveness check
+ *   GET  /tokens           all stored tokens
+ *   GET  /tokens/:email    one token with credits/tier/updatedAt
+ *   POST /refresh/:email   on-demand refresh, responds with the result
+ */
+export function createTokenServer({ key, refresh, isKnownAccount = () => true, isBusy = () => false }) {
+  const startedAt = Date.now();
+
+  return http.createServer(async (req, res) => {
+    try {
+      let url;
+      let parts;
+      try {
+        url = new URL(req.url, 'http://localhost');
+        parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      } catch (e) {
+        return send(res, 400, { error: 'bad_request' });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/healthz') {
+        return send(res, 200, { status: 'ok', busy: isBusy(), uptimeMs: Date.now() - startedAt });
+      }
+
+      if (!authorized(req, key)) {
+        return send(res, 401, { error: 'unauthorized' });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'tokens' && parts.length === 1) {
+        const tokens = loadTokens();
+        return send(res, 200, Object.entries(tokens).map(([email, entry]) => tokenView(email, entry)));
+      }
+
+      if (req.method === 'GET' && parts[0] === 'tokens' && parts.length === 2) {
+        const email = sanitizeEmail(parts[1]);
+        const entry = getToken(email);
+        if (!entry) return send(res, 404, { error: 'not_found', email });
+        return send(res, 200, tokenView(email, entry));
+      }
+
+      if (req.method === 'POST' && parts[0] === 'refresh' && parts.length === 2) {
+        const email = sanitizeEmail(parts[1]);
+        if (!isKnownAccount(email)) return send(res, 404, { error: 'unknown_account', email });
+
+        logger.info(`On-demand refresh requested for ${email}`);
+        const result = await refresh(email);
+        if (!result.success) return send(res, 502, { email, success: false, error: result.error });
+        return send(res, 200, tokenView(email, getToken(email)));
+      }
+
+      return send(res, 404, { error: 'not_found' });
+    } catch (e) {
+      logger.error(`Server error on ${req.method} ${req.url}: ${e.message}`);
+      return send(res, 500, { error: 'internal_error' });
+    }
+  });
+}
+
+export function startTokenServer({ host = '127.0.0.1', port = DEFAULT_PORT, ...options }) {
+  const server = createTokenServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info(`Token server listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
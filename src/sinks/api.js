@@ -0,0 +1,161 @@
+import { readFileSync } from 'fs';
+import { createHmac } from 'crypto';
+import { logger } from '../logger.js';
+import { tokenRecords } from './records.js';
+
+export const SIGNING_SECRET_ENV = 'FLOWKEY_SUBMIT_SECRET';
+export const SIGNATURE_HEADER = 'X-Flowkey-Signature';
+export const TIMESTAMP_HEADER = 'X-Flowkey-Timestamp';
+const DEFAULT_TIMEOUT_MS = 30000;
+// Methods that can carry the JSON body (fetch refuses one on GET and HEAD)
+const METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Errors no retry can fix; publishToSinks doesn't queue them in the outbox
+function configError(message) {
+  return Object.assign(new Error(message), { code: 'ESINKCONFIG' });
+}
+
+// Replace ${VAR} with the environment variable, so secrets in headers can be
+// referenced from sinks.json without being stored there.
+function interpolateEnv(value) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw configError(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  });
+}
+
+/**
+ * Render a JSON template. A string that is exactly "{{name}}" is replaced by
+ * the variable itself (keeping arrays/numbers intact); "{{name}}" inside a
+ * longer string is interpolated as text.
+ */
+export function renderTemplate(template, vars) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) return vars[whole[1]] ?? null;
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => vars[name] ?? '');
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, vars));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, vars)]));
+  }
+  return template;
+}
+
+function loadTemplate(template) {
+  return typeof template === 'string' ? JSON.parse(readFileSync(template, 'utf-8')) : template;
+}
+
+export function buildPayload(results, { template = null, itemTemplate = null } = {}) {
+  let records = tokenRecords(results);
+  if (itemTemplate) {
+    const item = loadTemplate(itemTemplate);
+    records = records.map(r => renderTemplate(item, r));
+  }
+  if (!template) return records;
+  return renderTemplate(loadTemplate(template), {
+    records,
+    count: records.length,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Stripe-style signature: HMAC-SHA256 over "<unix timestamp>.<body>". The
+// receiver recomputes it and rejects stale timestamps to block replays.
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { timestamp, signature: `t=${timestamp},v1=${digest}` };
+}
+
+function signingSecret(secretEnv) {
+  const name = secretEnv || SIGNING_SECRET_ENV;
+  const secret = process.env[name];
+  if (secretEnv && !secret) {
+    throw configError(`Environment variable ${name} is not set`);
+  }
+  return secret || null;
+}
+
+/**
+ * Resolve the method, headers and signing secret for a submission, throwing
+ * an ESINKCONFIG error for a method that can't carry the payload or an
+ * unset ${ENV} / `secretEnv` variable.
+ */
+function requestConfig({ method = 'POST', headers = {}, secretEnv = null }) {
+  const upper = String(method).toUpperCase();
+  if (!METHODS.includes(upper)) {
+    throw configError(`Invalid api sink method: ${method} (expected ${METHODS.join(', ')})`);
+  }
+  const resolved = {};
+  for (const [name, value] of Object.entries(headers)) {
+    resolved[name] = interpolateEnv(value);
+  }
+  return { method: upper, headers: resolved, secret: signingSecret(secretEnv) };
+}
+
+/**
+ * Send successful results to `endpoint`. Options: `method`, `headers`
+ * (values may reference ${ENV_VARS}), `template` / `itemTemplate` (object or
+ * path to a JSON file), `timeoutMs`, and `secretEnv` naming the env var with
+ * the HMAC signing secret (FLOWKEY_SUBMIT_SECRET when omitted; unsigned if
+ * that is unset too). A bad method or unset variable throws an ESINKCONFIG
+ * error; request failures resolve to { success: false }.
+ */
+export async function submitToApi(endpoint, results, options = {}) {
+  const successful = results.filter(r => r.success);
+
+  if (successful.length === 0) {
+    logger.info('\nNo tokens to submit');
+    return;
+  }
+
+  // Thrown rather than reported, so the delivery isn't queued for retry
+  const { method, headers, secret } = requestConfig(options);
+  const { timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+
+  logger.info(`\nSubmitting ${successful.length} tokens to ${endpoint}...`);
+
+  try {
+    const body = JSON.stringify(buildPayload(successful, options));
+    const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+
+    if (secret) {
+      const { timestamp, signature } = signPayload(body, secret);
+      requestHeaders[TIMESTAMP_HEADER] = String(timestamp);
+      requestHeaders[SIGNATURE_HEADER] = signature;
+    }
+
+    const response = await fetch(endpoint, {
+      method,
+      headers: requestHeaders,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (response.ok) {
+      logger.info('API submission successful!');
+      const data = await response.json().catch(() => ({}));
+      return { success: true, data };
+    } else {
+      logger.warn(`API error: ${response.status} ${response.statusText}`);
+      return { success: false, status: response.status };
+    }
+  } catch (e) {
+    logger.warn(`API request failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+export function createApiSink({ url, ...options }) {
+  if (!url) throw new Error('api sink requires a url');
+  // Fail at startup rather than on every delivery
+  requestConfig(options);
+  return {
+    name: `api:${url}`,
+    publish: (results) => submitToApi(url, results, options),
+  };
+}
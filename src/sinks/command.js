@@ -0,0 +1,55 @@
+import { spawn } from 'child_process';
+import { logger } from '../logger.js';
+import { tokenRecords } from './records.js';
+
+const DEFAULT_TIMEOUT = 60000;
+
+function runCommand(command, input, env, timeout) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, ...env },
+      timeout,
+    });
+    child.on('error', (e) => resolve({ success: false, error: e.message }));
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve({ success: true });
+      } else {
+        resolve({ success: false, error: signal ? `killed by ${signal}` : `exit code ${code}` });
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Runs a shell command with the token records as JSON on stdin.
+ * FLOWKEY_EVENT is "publish" or "remove"; removals also set FLOWKEY_EMAIL.
+ */
+export function createCommandSink({ command, timeout = DEFAULT_TIMEOUT }) {
+  if (!command) throw new Error('command sink requires a command');
+
+  async function exec(input, env) {
+    const result = await runCommand(command, input, env, timeout);
+    if (!result.success) {
+      logger.warn(`Sink command failed (${result.error}): ${command}`);
+    }
+    return result;
+  }
+
+  return {
+    name: `command:${command}`,
+    publish: async (results) => {
+      const records = tokenRecords(results);
+      if (records.length === 0) {
+        return { success: true, published: 0 };
+      }
+      logger.info(`\nRunning sink command for ${records.length} tokens...`);
+      return exec(JSON.stringify(records), { FLOWKEY_EVENT: 'publish' });
+    },
+    remove: (email) => exec(JSON.stringify({ email }), { FLOWKEY_EVENT: 'remove', FLOWKEY_EMAIL: email }),
+  };
+}
@@ -0,0 +1,38 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { dirname } from 'path';
+import { logger } from '../logger.js';
+import { tokenRecords } from './records.js';
+
+function expandHome(path) {
+  return path.startsWith('~/') ? homedir() + path.slice(1) : path;
+}
+
+// Appends one JSON line per token (and per removal) to a local file
+export function createFileSink({ path }) {
+  if (!path) throw new Error('file sink requires a path');
+  const file = expandHome(path);
+
+  function append(records) {
+    mkdirSync(dirname(file), { recursive: true });
+    appendFileSync(file, records.map(r => JSON.stringify(r) + '\n').join(''), { mode: 0o600 });
+  }
+
+  return {
+    name: `file:${path}`,
+    publish: async (results) => {
+      const at = new Date().toISOString();
+      const records = tokenRecords(results).map(r => ({ at, ...r }));
+      if (records.length === 0) {
+        return { success: true, written: 0 };
+      }
+      append(records);
+      logger.info(`Wrote ${records.length} tokens to ${file}`);
+      return { success: true, written: records.length };
+    },
+    remove: async (email) => {
+      append([{ at: new Date().toISOString(), email, removed: true }]);
+      return { success: true };
+    },
+  };
+}
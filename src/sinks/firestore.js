@@ -0,0 +1,164 @@
+import { existsSync, readFileSync } from 'fs';
+import admin from 'firebase-admin';
+import { FIREBASE_SERVICE_ACCOUNT_FILE } from '../paths.js';
+import { logger } from '../logger.js';
+
+export const DEFAULT_COLLECTION = 'flow_tokens';
+
+// Firestore rejects batches with more than 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Firebase initialization (lazy)
+let firebaseInitialized = false;
+let db = null;
+
+/**
+ * Pick credentials in order: the emulator (FIRESTORE_EMULATOR_HOST, no
+ * credentials needed), an explicit service account path, the default
+ * ~/.flowkey-auto/firebase-service-account.json, then
+ * GOOGLE_APPLICATION_CREDENTIALS.
+ */
+function resolveAppOptions(serviceAccountPath) {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    const projectId = process.env.GCLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || 'flowkey-auto';
+    return { options: { projectId }, source: `emulator at ${process.env.FIRESTORE_EMULATOR_HOST} (project ${projectId})` };
+  }
+
+  const path = serviceAccountPath || (existsSync(FIREBASE_SERVICE_ACCOUNT_FILE) ? FIREBASE_SERVICE_ACCOUNT_FILE : null);
+  if (path) {
+    if (!existsSync(path)) {
+      throw new Error(`Firebase service account not found at: ${path}`);
+    }
+    const serviceAccount = JSON.parse(readFileSync(path, 'utf-8'));
+    return { options: { credential: admin.credential.cert(serviceAccount) }, source: path };
+  }
+
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    return {
+      options: { credential: admin.credential.applicationDefault() },
+      source: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    };
+  }
+
+  throw new Error(`Firebase service account not found at: ${FIREBASE_SERVICE_ACCOUNT_FILE}\nDownload it from Firebase Console > Project Settings > Service Accounts, pass --firestore-credentials <path> or set GOOGLE_APPLICATION_CREDENTIALS`);
+}
+
+// `firestore` stands in for the admin client (tests pass a stub)
+export function initFirebase({ serviceAccount = null, firestore = null } = {}) {
+  if (firebaseInitialized) return;
+
+  if (firestore) {
+    db = firestore;
+    firebaseInitialized = true;
+    return;
+  }
+
+  const { options, source } = resolveAppOptions(serviceAccount);
+  admin.initializeApp(options);
+
+  db = admin.firestore();
+  firebaseInitialized = true;
+  logger.info(`Firebase initialized (${source})`);
+}
+
+// Use email as document ID (sanitized)
+function docIdFor(email) {
+  return email.replace(/@/g, '_at_').replace(/\./g, '_');
+}
+
+async function commitInChunks(writes) {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    for (const write of writes.slice(i, i + MAX_BATCH_WRITES)) {
+      write(batch);
+    }
+    await batch.commit();
+  }
+}
+
+/**
+ * Upsert one document per account. Successful results write the token;
+ * failed ones record `lastError` and leave the last good token in place.
+ * With `history`, each result also adds a document (without the token) to
+ * the account's `history` subcollection.
+ */
+export async function pushToFirestore(results, collection = DEFAULT_COLLECTION, { history = false, serviceAccount = null } = {}) {
+  initFirebase({ serviceAccount });
+
+  if (results.length === 0) {
+    logger.info('No results to push to Firestore');
+    return { success: true, pushed: 0 };
+  }
+
+  const successful = results.filter(r => r.success);
+  logger.info(`\nPushing ${results.length} records (${successful.length} successful) to Firestore collection: ${collection}...`);
+
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const writes = [];
+
+  for (const r of results) {
+    const docRef = db.collection(collection).doc(docIdFor(r.email));
+
+    const doc = r.success
+      ? {
+          email: r.email,
+          token: r.token,
+          credits: r.credits,
+          tier: r.tier,
+          status: 'ok',
+          lastError: null,
+          lastAttemptAt: timestamp,
+          updatedAt: timestamp,
+        }
+      : {
+          email: r.email,
+          status: 'failed',
+          lastError: r.error ?? 'unknown error',
+          lastAttemptAt: timestamp,
+        };
+    writes.push((batch) => batch.set(docRef, doc, { merge: true }));
+
+    if (history) {
+      const entryRef = docRef.collection('history').doc();
+      writes.push((batch) => batch.set(entryRef, {
+        at: timestamp,
+        success: r.success,
+        credits: r.credits ?? null,
+        tier: r.tier ?? null,
+        error: r.success ? null : (r.error ?? 'unknown error'),
+      }));
+    }
+  }
+
+  try {
+    await commitInChunks(writes);
+    logger.info(`Successfully pushed ${results.length} records to Firestore`);
+    return { success: true, pushed: successful.length, failed: results.length - successful.length };
+  } catch (e) {
+    logger.warn(`Firestore push failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+// Delete the account's document together with its history subcollection
+export async function removeFromFirestore(email, collection = DEFAULT_COLLECTION, { serviceAccount = null } = {}) {
+  initFirebase({ serviceAccount });
+
+  try {
+    await db.recursiveDelete(db.collection(collection).doc(docIdFor(email)));
+    logger.info(`Removed ${email} from Firestore collection: ${collection}`);
+    return { success: true };
+  } catch (e) {
+    logger.warn(`Firestore delete failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+export function createFirestoreSink({ collection = DEFAULT_COLLECTION, history = false, serviceAccount = null } = {}) {
+  return {
+    name: `firestore:${collection}`,
+    init: () => initFirebase({ serviceAccount }),
+    publish: (results) => pushToFirestore(results, collection, { history, serviceAccount }),
+    remove: (email) => removeFromFirestore(email, collection, { serviceAccount }),
+  };
+}
@@ -0,0 +1,88 @@
+import { logger } from '../logger.js';
+import { submitToApi, createApiSink, signPayload, renderTemplate } from './api.js';
+import { pushToFirestore, removeFromFirestore, createFirestoreSink } from './firestore.js';
+import { createFileSink } from './file.js';
+import { createCommandSink } from './command.js';
+import { createSink, parseSinkFlag, loadSinkConfig } from './registry.js';
+import { enqueueDelivery, supersedeDeliveries } from './outbox.js';
+
+const initialized = new WeakSet();
+
+async function ensureInit(sink) {
+  if (sink.init && !initialized.has(sink)) {
+    await sink.init();
+    initialized.add(sink);
+  }
+}
+
+function failureReason(outcome) {
+  return outcome.error ?? (outcome.status ? `status ${outcome.status}` : 'unknown error');
+}
+
+/**
+ * Publish results to every sink. Failed deliveries to sinks built from a
+ * spec are queued in the outbox for retry unless `outbox` is false, or the
+ * sink is misconfigured (an ESINKCONFIG error), which no retry would fix.
+ */
+export async function publishToSinks(sinks, results, { outbox = true } = {}) {
+  const outcomes = [];
+  for (const sink of sinks) {
+    let outcome;
+    let retry = true;
+    try {
+      await ensureInit(sink);
+      outcome = (await sink.publish(results)) || { success: true };
+    } catch (e) {
+      logger.warn(`Sink ${sink.name} failed: ${e.message}`);
+      outcome = { success: false, error: e.message };
+      retry = e.code !== 'ESINKCONFIG';
+    }
+
+    if (outcome.success === false) {
+      if (outbox && retry && sink.spec) enqueueDelivery(sink.spec, 'publish', results, failureReason(outcome));
+    } else {
+      supersedeDeliveries(sink.spec, results);
+    }
+    outcomes.push({ sink: sink.name, ...outcome });
+  }
+  return outcomes;
+}
+
+export async function removeFromSinks(sinks, email, { outbox = true } = {}) {
+  const outcomes = [];
+  for (const sink of sinks) {
+    if (!sink.remove) continue;
+    let outcome;
+    let retry = true;
+    try {
+      await ensureInit(sink);
+      outcome = (await sink.remove(email)) || { success: true };
+    } catch (e) {
+      logger.warn(`Sink ${sink.name} could not remove ${email}: ${e.message}`);
+      outcome = { success: false, error: e.message };
+      retry = e.code !== 'ESINKCONFIG';
+    }
+
+    if (outcome.success === false && outbox && retry && sink.spec) {
+      enqueueDelivery(sink.spec, 'remove', email, failureReason(outcome));
+    }
+    outcomes.push({ sink: sink.name, ...outcome });
+  }
+  return outcomes;
+}
+
+export { loadOutbox, replayOutbox, purgeOutbox, enqueueDelivery } from './outbox.js';
+export {
+  createSink,
+  parseSinkFlag,
+  loadSinkConfig,
+  submitToApi,
+  signPayload,
+  renderTemplate,
+  pushToFirestore,
+  removeFromFirestore,
+  createApiSink,
+  createFirestoreSink,
+  createFileSink,
+  createCommandSink,
+};
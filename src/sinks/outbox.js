@@ -0,0 +1,168 @@
+import { existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { OUTBOX_FILE } from '../paths.js';
+import { readDataFile, writeDataFile } from '../vault.js';
+import { logger } from '../logger.js';
+import { withDataLock } from '../lockfile.js';
+import { createSink } from './registry.js';
+
+// Failed sink deliveries are kept in outbox.json (encrypted with the vault,
+// since entries carry tokens) and retried with exponential backoff. A newer
+// delivery of the same account to the same sink supersedes a queued one, so
+// a replay never overwrites a fresher token with an older one.
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+let replaying = false;
+
+export function loadOutbox() {
+  if (!existsSync(OUTBOX_FILE)) return [];
+  try {
+    return JSON.parse(readDataFile(OUTBOX_FILE));
+  } catch (e) {
+    if (e.message.startsWith('Vault')) throw e;
+    return [];
+  }
+}
+
+function saveOutbox(entries) {
+  writeDataFile(OUTBOX_FILE, JSON.stringify(entries, null, 2));
+}
+
+// Apply `fn` to a freshly loaded outbox and save it, so concurrent
+// enqueues during an async replay (or from another process) are not lost.
+function updateOutbox(fn) {
+  return withDataLock(() => {
+    const entries = fn(loadOutbox());
+    saveOutbox(entries);
+    return entries;
+  });
+}
+
+export function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+function sameSink(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function withoutEmails(entries, spec, emails) {
+  return entries
+    .map((entry) => {
+      if (entry.op !== 'publish' || !sameSink(entry.sink, spec)) return entry;
+      return { ...entry, payload: entry.payload.filter(r => !emails.includes(r.email)) };
+    })
+    .filter(entry => entry.op !== 'publish' || entry.payload.length > 0);
+}
+
+// Drop queued results for accounts that were just delivered to this sink,
+// failed ones included: their status write is newer than anything queued
+export function supersedeDeliveries(spec, results) {
+  if (!spec || !existsSync(OUTBOX_FILE)) return;
+  const emails = results.map(r => r.email);
+  if (emails.length === 0) return;
+  updateOutbox(entries => withoutEmails(entries, spec, emails));
+}
+
+/**
+ * Queue a failed delivery. `op` is "publish" (payload: results, failed
+ * ones included so sinks that record failures get them on replay) or
+ * "remove" (payload: email).
+ */
+export function enqueueDelivery(spec, op, payload, error) {
+  if (op === 'publish' && payload.length === 0) return null;
+
+  const now = Date.now();
+  const entry = {
+    id: randomBytes(4).toString('hex'),
+    sink: spec,
+    op,
+    payload,
+    attempts: 1,
+    createdAt: new Date(now).toISOString(),
+    lastAttemptAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now + backoffDelay(1)).toISOString(),
+    lastError: error ?? null,
+  };
+
+  updateOutbox((entries) => {
+    const kept = op === 'publish' ? withoutEmails(entries, spec, payload.map(r => r.email)) : entries;
+    return [...kept, entry];
+  });
+  logger.warn(`Queued failed ${op} to ${spec.type} in outbox (${entry.id}), retrying in ${Math.round(backoffDelay(1) / 1000)}s`);
+  return entry;
+}
+
+async function attempt(entry) {
+  try {
+    const sink = createSink(entry.sink);
+    if (sink.init) await sink.init();
+    const outcome = entry.op === 'remove'
+      ? await sink.remove?.(entry.payload)
+      : await sink.publish(entry.payload);
+    if (outcome && outcome.success === false) {
+      return { success: false, error: outcome.error ?? `status ${outcome.status}` };
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Retry queued deliveries whose backoff has elapsed. `force` retries every
+ * entry now; `id` limits the replay to one entry.
+ */
+export async function replayOutbox({ force = false, id = null } = {}) {
+  if (replaying) return { delivered: 0, failed: 0 };
+  replaying = true;
+
+  let delivered = 0;
+  let failed = 0;
+  try {
+    const now = Date.now();
+    const due = loadOutbox().filter(entry =>
+      (!id || entry.id === id) && (force || new Date(entry.nextAttemptAt).getTime() <= now));
+
+    if (due.length > 0) {
+      logger.info(`Retrying ${due.length} outbox deliveries...`);
+    }
+
+    for (const entry of due) {
+      const outcome = await attempt(entry);
+      if (outcome.success) {
+        delivered++;
+        logger.info(`Outbox delivery ${entry.id} to ${entry.sink.type} succeeded`);
+        updateOutbox(entries => entries.filter(e => e.id !== entry.id));
+      } else {
+        failed++;
+        const attempts = entry.attempts + 1;
+        const delay = backoffDelay(attempts);
+        logger.warn(`Outbox delivery ${entry.id} to ${entry.sink.type} failed (${outcome.error}), attempt ${attempts}`);
+        updateOutbox(entries => entries.map(e => e.id !== entry.id ? e : {
+          ...e,
+          attempts,
+          lastAttemptAt: new Date().toISOString(),
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+          lastError: outcome.error,
+        }));
+      }
+    }
+  } finally {
+    replaying = false;
+  }
+  return { delivered, failed };
+}
+
+// Remove one entry, or every entry when `id` is omitted. Returns the count.
+export function purgeOutbox(id = null) {
+  let purged = 0;
+  updateOutbox((entries) => {
+    const kept = id ? entries.filter(e => e.id !== id) : [];
+    purged = entries.length - kept.length;
+    return kept;
+  });
+  return purged;
+}
@@ -0,0 +1,9 @@
+// The record shape every sink publishes for a successful result
+export function tokenRecords(results) {
+  return results.filter(r => r.success).map(r => ({
+    email: r.email,
+    token: r.token,
+    credits: r.credits,
+    tier: r.tier,
+  }));
+}
@@ -0,0 +1,54 @@
+import { existsSync, readFileSync } from 'fs';
+import { SINKS_FILE } from '../paths.js';
+import { createApiSink } from './api.js';
+import { createFirestoreSink } from './firestore.js';
+import { createFileSink } from './file.js';
+import { createCommandSink } from './command.js';
+
+// A sink is { name, init?(), publish(results), remove?(email) }. init runs
+// once before first use; publish receives every result of a run (most sinks
+// only publish the successful ones); remove is called for --remove and --clear.
+
+const SINK_TYPES = {
+  api: createApiSink,
+  firestore: createFirestoreSink,
+  file: createFileSink,
+  command: createCommandSink,
+};
+
+// The option a `--sink type=value` flag sets
+const PRIMARY_OPTION = {
+  api: 'url',
+  firestore: 'collection',
+  file: 'path',
+  command: 'command',
+};
+
+export function createSink(spec) {
+  const factory = SINK_TYPES[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown sink type: ${spec.type} (expected ${Object.keys(SINK_TYPES).join(', ')})`);
+  }
+  // Keep the spec so a failed delivery can rebuild the sink from the outbox
+  return { ...factory(spec), spec };
+}
+
+// "api=https://...", "firestore", "file=~/tokens.jsonl", "command=./hook.sh"
+export function parseSinkFlag(value) {
+  if (!value || value.startsWith('--')) {
+    throw new Error('Usage: --sink <type>[=<value>]');
+  }
+  const idx = value.indexOf('=');
+  const type = idx === -1 ? value : value.slice(0, idx);
+  const spec = { type };
+  if (idx !== -1) {
+    spec[PRIMARY_OPTION[type] ?? 'value'] = value.slice(idx + 1);
+  }
+  return spec;
+}
+
+export function loadSinkConfig() {
+  if (!existsSync(SINKS_FILE)) return [];
+  const config = JSON.parse(readFileSync(SINKS_FILE, 'utf-8'));
+  return Array.isArray(config) ? config : (config.sinks || []);
+}
@@ -0,0 +1,137 @@
+import { existsSync } from 'fs';
+import { ACCOUNTS_FILE, getProfileDir, sanitizeEmail } from './paths.js';
+import { loadAccountsArray, isEnabled, accountLabels } from './accounts.js';
+import { loadTokens, loadHistory, tokenExpiry } from './store.js';
+import { loadAttention } from './attention.js';
+
+// The status view behind --list: one row per account, joining accounts.json,
+// the token store, profile directories, run history and the attention queue.
+// Accounts that only have a token (run by email, not in accounts.json) are
+// included too. Rows never carry the token itself.
+
+// Worst first, the order --sort status uses. `failing` means the last run
+// failed; `attention` that it failed in a way only a manual login fixes.
+export const STATUS_STATES = ['attention', 'failing', 'no_token', 'ok', 'disabled'];
+
+export const STATUS_COLUMNS = [
+  'email',
+  'status',
+  'enabled',
+  'labels',
+  'profile',
+  'hasToken',
+  'updatedAt',
+  'expiresAt',
+  'credits',
+  'tier',
+  'lastRunAt',
+  'lastOutcome',
+  'lastError',
+  'failureStreak',
+  'attention',
+];
+
+function statusOf(row) {
+  if (!row.enabled) return 'disabled';
+  if (row.attention) return 'attention';
+  if (row.lastOutcome === 'failure') return 'failing';
+  if (!row.hasToken) return 'no_token';
+  return 'ok';
+}
+
+/**
+ * Build status rows from already loaded data. `history` is the full run
+ * history, oldest first; `hasProfile(email)` says whether a Chrome profile
+ * exists. Ages are in milliseconds relative to `now`.
+ */
+export function buildStatus({ accounts = [], tokens = {}, attention = {}, history = [], hasProfile = () => false, now = new Date() }) {
+  const runs = {};
+  for (const entry of history) {
+    const account = runs[entry.email] ??= { last: null, failureStreak: 0 };
+    account.last = entry;
+    account.failureStreak = entry.outcome === 'failure' ? account.failureStreak + 1 : 0;
+  }
+
+  const configured = new Map(accounts.map(a => [sanitizeEmail(a.email), a]));
+  const emails = [...new Set([...configured.keys(), ...Object.keys(tokens)])].sort();
+
+  return emails.map((email) => {
+    const account = configured.get(email);
+    const token = tokens[email];
+    const expiry = tokenExpiry(token);
+    const run = runs[email];
+    const row = {
+      email,
+      configured: Boolean(account),
+      enabled: account ? isEnabled(account) : true,
+      labels: account ? accountLabels(account) : [],
+      profile: hasProfile(email),
+      hasToken: Boolean(token?.token),
+      updatedAt: token?.updatedAt ?? null,
+      ageMs: token?.updatedAt ? now - new Date(token.updatedAt) : null,
+      expiresAt: expiry?.toISOString() ?? null,
+      expiresInMs: expiry ? expiry - now : null,
+      credits: token?.credits ?? null,
+      tier: token?.tier ?? null,
+      lastRunAt: run?.last.at ?? null,
+      lastOutcome: run?.last.outcome ?? null,
+      lastError: run?.last.error ?? null,
+      failureStreak: run?.failureStreak ?? 0,
+      attention: attention[email]?.reason ?? null,
+    };
+    return { email, status: statusOf(row), ...row };
+  });
+}
+
+// Status rows for the current data directory
+export function collectStatus({ now = new Date() } = {}) {
+  return buildStatus({
+    accounts: existsSync(ACCOUNTS_FILE) ? loadAccountsArray() : [],
+    tokens: loadTokens(),
+    attention: loadAttention(),
+    history: loadHistory(),
+    hasProfile: (email) => existsSync(getProfileDir(email)),
+    now,
+  });
+}
+
+/**
+ * Narrow status rows: `group` to accounts with that label, `failed` to those
+ * whose last run failed, `olderThanMs` to those without a token or with one
+ * captured longer ago than that.
+ */
+export function filterStatus(rows, { group = null, failed = false, olderThanMs = null } = {}) {
+  return rows.filter(r =>
+    (!group || r.labels.includes(group)) &&
+    (!failed || r.lastOutcome === 'failure' || r.attention !== null) &&
+    (olderThanMs === null || r.ageMs === null || r.ageMs > olderThanMs));
+}
+
+// Rows with no value for the key sort last either way
+const SORT_KEYS = {
+  email: r => r.email,
+  status: r => STATUS_STATES.indexOf(r.status),
+  age: r => r.ageMs,
+  expires: r => r.expiresInMs,
+  credits: r => r.credits,
+  'last-run': r => r.lastRunAt,
+};
+
+export function sortStatus(rows, key = 'email', { reverse = false } = {}) {
+  const value = SORT_KEYS[key];
+  if (!value) {
+    throw new Error(`Invalid --sort: ${key} (expected ${Object.keys(SORT_KEYS).join(', ')})`);
+  }
+  return [...rows].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    const order = x < y ? -1 : x > y ? 1 : a.email.localeCompare(b.email);
+    return reverse ? -order : order;
+  });
+}
+
+// Flat records for --csv
+export function statusRecords(rows) {
+  return rows.map(r => ({ ...r, labels: r.labels.join(';') }));
+}
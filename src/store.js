@@ -0,0 +1,254 @@
+import { existsSync, readFileSync, rmSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { AUTH_DIR, STORE_FILE, PROFILES_DIR, ensureDirs, sanitizeEmail, getProfileDir } from './paths.js';
+import { withDataLock, assertProfileNotInUse, lockHolder, writeFileAtomic } from './lockfile.js';
+import { createJsonStore } from './stores/json.js';
+import { createSqliteStore } from './stores/sqlite.js';
+
+// Tokens and run history live in a store backend: tokens.json plus
+// history.jsonl by default, or an SQLite database once `store migrate --to
+// sqlite` has run. store.json records which one; every process reads it, so
+// they all switch together. A backend is { name, all(), get(email),
+// put(email, entry), replaceAll(tokens), delete(email), clear(),
+// appendHistory(entry), history(email?), importAll(tokens, history), isEmpty(),
+// remove(), close() }, keyed by sanitized email. Token writes take the
+// data lock whatever the backend.
+
+export const STORE_TYPES = {
+  json: createJsonStore,
+  sqlite: createSqliteStore,
+};
+
+let active = null;
+
+export function storeType() {
+  if (!existsSync(STORE_FILE)) return 'json';
+  const { type } = JSON.parse(readFileSync(STORE_FILE, 'utf-8'));
+  if (!STORE_TYPES[type]) {
+    throw new Error(`Unknown store type "${type}" in ${STORE_FILE} (expected ${Object.keys(STORE_TYPES).join(', ')})`);
+  }
+  return type;
+}
+
+// The backend for the current data directory, reopened when it (or the
+// configured type) changes
+export function getStore() {
+  const type = storeType();
+  if (!active || active.dir !== AUTH_DIR || active.type !== type) {
+    active?.store.close();
+    active = { dir: AUTH_DIR, type, store: STORE_TYPES[type]() };
+  }
+  return active.store;
+}
+
+export function closeStore() {
+  active?.store.close();
+  active = null;
+}
+
+/**
+ * Copy tokens and run history into a store of type `to` and switch every
+ * process over to it. The target must be empty. Once the copy reads back
+ * complete, the old store's files are deleted rather than kept, since they
+ * would leave a second, possibly unencrypted, copy of every token outside the
+ * vault. Returns { from, to, tokens, history, removed }.
+ */
+export function migrateStore(to) {
+  if (!STORE_TYPES[to]) {
+    throw new Error(`Unknown store type "${to}" (expected ${Object.keys(STORE_TYPES).join(', ')})`);
+  }
+  return withDataLock(() => {
+    const from = storeType();
+    if (from === to) {
+      throw new Error(`The store is already ${to}`);
+    }
+    const source = getStore();
+    const tokens = source.all();
+    const history = source.history();
+
+    const target = STORE_TYPES[to]();
+    try {
+      if (!target.isEmpty()) {
+        throw new Error(`The ${to} store already holds data; move its files out of ${AUTH_DIR} first`);
+      }
+      target.importAll(tokens, history);
+      const copied = target.all();
+      const complete = Object.keys(copied).length === Object.keys(tokens).length
+        && Object.entries(tokens).every(([email, entry]) => copied[email]?.token === entry.token)
+        && target.history().length === history.length;
+      if (!complete) {
+        throw new Error(`The ${to} store does not match the ${from} store after copying; nothing was switched or removed`);
+      }
+    } finally {
+      target.close();
+    }
+
+    ensureDirs();
+    if (to === 'json') {
+      rmSync(STORE_FILE, { force: true });
+    } else {
+      writeFileAtomic(STORE_FILE, JSON.stringify({ type: to }, null, 2) + '\n');
+    }
+    closeStore();
+    const removed = source.remove();
+    return { from, to, tokens: Object.keys(tokens).length, history: history.length, removed };
+  });
+}
+
+// Run a vault init or key rotation (`fn`). The vault re-encrypts tokens.json
+// itself, but stores that seal each token (sealsTokens) rewrite them here.
+export function withTokensResealed(fn) {
+  return withDataLock(() => {
+    const store = getStore();
+    if (!store.sealsTokens) return fn();
+    const tokens = store.all();
+    const result = fn();
+    store.replaceAll(tokens);
+    return result;
+  });
+}
+
+export function loadTokens() {
+  return getStore().all();
+}
+
+export function saveTokens(tokens) {
+  withDataLock(() => getStore().replaceAll(tokens));
+}
+
+// Google OAuth access tokens are issued for one hour. The real lifetime is
+// not visible to us, so expiry is an estimate unless the token is a JWT.
+export const DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+function jwtExpiry(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    return typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function estimateExpiry(token, capturedAt = new Date(), lifetimeMs = DEFAULT_TOKEN_LIFETIME_MS) {
+  return jwtExpiry(token) ?? new Date(capturedAt.getTime() + lifetimeMs);
+}
+
+// Expiry of a stored entry; entries saved before expiresAt was recorded
+// fall back to updatedAt plus the default lifetime.
+export function tokenExpiry(entry) {
+  if (!entry) return null;
+  if (entry.expiresAt) return new Date(entry.expiresAt);
+  if (!entry.updatedAt) return null;
+  return new Date(new Date(entry.updatedAt).getTime() + DEFAULT_TOKEN_LIFETIME_MS);
+}
+
+// Milliseconds until the token expires (negative once expired), or null
+// when there is no token.
+export function remainingLifetime(entry, now = new Date()) {
+  const expiry = tokenExpiry(entry);
+  return expiry ? expiry.getTime() - now.getTime() : null;
+}
+
+// True when the account has no token or it expires within `withinMs`.
+export function isStale(email, withinMs, now = new Date()) {
+  const remaining = remainingLifetime(getToken(email), now);
+  return remaining === null || remaining <= withinMs;
+}
+
+export function saveToken(email, token, { credits = null, tier = null, lifetimeMs = DEFAULT_TOKEN_LIFETIME_MS } = {}) {
+  const now = new Date();
+  withDataLock(() => getStore().put(sanitizeEmail(email), {
+    token,
+    credits,
+    tier,
+    updatedAt: now.toISOString(),
+    expiresAt: estimateExpiry(token, now, lifetimeMs).toISOString(),
+  }));
+}
+
+export function getToken(email) {
+  return getStore().get(sanitizeEmail(email));
+}
+
+// Refuses (throws) while another process has the profile open in Chrome
+export function removeProfile(email) {
+  assertProfileNotInUse(email);
+  const profileDir = getProfileDir(email);
+  if (existsSync(profileDir)) {
+    rmSync(profileDir, { recursive: true, force: true });
+  }
+  withDataLock(() => getStore().delete(sanitizeEmail(email)));
+}
+
+export function listProfiles() {
+  const tokens = loadTokens();
+  return Object.entries(tokens).map(([email, data]) => ({
+    email,
+    token: data.token,
+    credits: data.credits ?? null,
+    tier: data.tier ?? null,
+    updatedAt: data.updatedAt,
+    expiresAt: tokenExpiry(data)?.toISOString() ?? null,
+  }));
+}
+
+// Run history never holds tokens and survives --remove and --clear
+export function appendHistory(result) {
+  const entry = {
+    at: new Date().toISOString(),
+    email: sanitizeEmail(result.email),
+    outcome: result.success ? 'success' : 'failure',
+    credits: result.credits ?? null,
+    tier: result.tier ?? null,
+    error: result.error ?? null,
+  };
+  getStore().appendHistory(entry);
+  return entry;
+}
+
+export function summarizeHistory(entries) {
+  let currentFailureStreak = 0;
+  let longestFailureStreak = 0;
+  for (const entry of entries) {
+    if (entry.outcome === 'failure') {
+      currentFailureStreak++;
+      longestFailureStreak = Math.max(longestFailureStreak, currentFailureStreak);
+    } else {
+      currentFailureStreak = 0;
+    }
+  }
+
+  const credits = entries.filter(e => e.credits !== null).map(e => e.credits);
+  return {
+    runs: entries.length,
+    successes: entries.filter(e => e.outcome === 'success').length,
+    failures: entries.filter(e => e.outcome === 'failure').length,
+    currentFailureStreak,
+    longestFailureStreak,
+    firstCredits: credits.length ? credits[0] : null,
+    lastCredits: credits.length ? credits[credits.length - 1] : null,
+    minCredits: credits.length ? Math.min(...credits) : null,
+    maxCredits: credits.length ? Math.max(...credits) : null,
+  };
+}
+
+export function loadHistory(email = null) {
+  return getStore().history(email ? sanitizeEmail(email) : null);
+}
+
+export function clearAll() {
+  if (existsSync(PROFILES_DIR)) {
+    for (const name of readdirSync(PROFILES_DIR).filter(n => n.endsWith('.lock'))) {
+      const holder = lockHolder(join(PROFILES_DIR, name));
+      if (holder) {
+        throw new Error(`Profile ${name.slice(0, -'.lock'.length)} is in use by pid ${holder.pid}`);
+      }
+    }
+    rmSync(PROFILES_DIR, { recursive: true, force: true });
+    mkdirSync(PROFILES_DIR, { recursive: true });
+  }
+  withDataLock(() => getStore().clear());
+}
+
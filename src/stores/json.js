@@ -0,0 +1,74 @@
+import { existsSync, appendFileSync, readFileSync, rmSync } from 'fs';
+import { TOKENS_FILE, HISTORY_FILE, ensureDirs } from '../paths.js';
+import { readDataFile, writeDataFile } from '../vault.js';
+import { writeFileAtomic } from '../lockfile.js';
+
+// The default store: tokens.json, encrypted when the vault is enabled, and
+// run history in an append-only history.jsonl. History never holds tokens,
+// so it is kept outside the vault.
+export function createJsonStore() {
+  function load() {
+    if (!existsSync(TOKENS_FILE)) return {};
+    const raw = readDataFile(TOKENS_FILE);
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save(tokens) {
+    writeDataFile(TOKENS_FILE, JSON.stringify(tokens, null, 2));
+  }
+
+  return {
+    name: 'json',
+    all: load,
+    get: (email) => load()[email],
+    put(email, entry) {
+      const tokens = load();
+      tokens[email] = entry;
+      save(tokens);
+    },
+    replaceAll: save,
+    delete(email) {
+      const tokens = load();
+      delete tokens[email];
+      save(tokens);
+    },
+    clear() {
+      if (existsSync(TOKENS_FILE)) rmSync(TOKENS_FILE);
+    },
+    appendHistory(entry) {
+      ensureDirs();
+      appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n');
+    },
+    history(email = null) {
+      if (!existsSync(HISTORY_FILE)) return [];
+      const entries = [];
+      for (const line of readFileSync(HISTORY_FILE, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (!email || entry.email === email) entries.push(entry);
+        } catch (e) {
+          // Skip a partially written line
+        }
+      }
+      return entries;
+    },
+    importAll(tokens, history) {
+      save(tokens);
+      writeFileAtomic(HISTORY_FILE, history.map(entry => JSON.stringify(entry) + '\n').join(''));
+    },
+    isEmpty: () => !existsSync(TOKENS_FILE) && !existsSync(HISTORY_FILE),
+    // Set the files aside once their data lives in another store
+    remove() {
+      return [TOKENS_FILE, HISTORY_FILE].filter(f => existsSync(f)).map((file) => {
+        rmSync(file, { force: true });
+        return file;
+      });
+    },
+    close() {},
+  };
+}
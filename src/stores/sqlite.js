@@ -0,0 +1,201 @@
+import { createRequire } from 'module';
+import { existsSync, rmSync } from 'fs';
+import { STORE_DB_FILE, ensureDirs } from '../paths.js';
+import { sealText, openText } from '../vault.js';
+
+// Tokens and run history in one SQLite database (store.db), one row per
+// account and per run. WAL mode lets readers and one writer in other
+// processes work side by side; bulk changes run in a transaction. The token
+// column is encrypted when the vault is enabled.
+
+const SCHEMA_VERSION = 1;
+const BUSY_TIMEOUT_MS = 10 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tokens (
+    email TEXT PRIMARY KEY,
+    token TEXT NOT NULL,
+    credits INTEGER,
+    tier TEXT,
+    updated_at TEXT,
+    expires_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS tokens_expires_at ON tokens (expires_at);
+  CREATE TABLE IF NOT EXISTS history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    email TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    credits INTEGER,
+    tier TEXT,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS history_email_at ON history (email, at);
+`;
+
+// better-sqlite3 is an optional (native) dependency, only loaded when the
+// SQLite store is actually used. The binary is only loaded on first open, so
+// open an in-memory database to catch one built for another Node version.
+function loadDriver() {
+  try {
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    new Database(':memory:').close();
+    return Database;
+  } catch (e) {
+    throw new Error(`The sqlite store needs better-sqlite3, which is not installed or failed to build (npm install better-sqlite3): ${e.message.split('\n')[0]}`);
+  }
+}
+
+export function isSqliteAvailable() {
+  try {
+    loadDriver();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function openDatabase(file) {
+  const Database = loadDriver();
+  ensureDirs();
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  // Overwrite deleted rows, so replaced tokens don't linger in free pages
+  db.pragma('secure_delete = ON');
+  const version = db.pragma('user_version', { simple: true });
+  if (version > SCHEMA_VERSION) {
+    db.close();
+    throw new Error(`${file} was created by a newer version (schema ${version})`);
+  }
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  return db;
+}
+
+function toEntry(row) {
+  return {
+    token: openText(row.token, `the token for ${row.email}`),
+    credits: row.credits,
+    tier: row.tier,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+function toRow(email, entry) {
+  return {
+    email,
+    token: sealText(entry.token),
+    credits: entry.credits ?? null,
+    tier: entry.tier ?? null,
+    updated_at: entry.updatedAt ?? null,
+    expires_at: entry.expiresAt ?? null,
+  };
+}
+
+function toHistoryRow(entry) {
+  return {
+    at: entry.at,
+    email: entry.email,
+    outcome: entry.outcome,
+    credits: entry.credits ?? null,
+    tier: entry.tier ?? null,
+    error: entry.error ?? null,
+  };
+}
+
+export function createSqliteStore({ file = STORE_DB_FILE } = {}) {
+  let db = null;
+  let statements = null;
+
+  // Opened on first use, so selecting the store has no side effects
+  function open() {
+    if (db) return statements;
+    db = openDatabase(file);
+    statements = {
+      all: db.prepare('SELECT * FROM tokens ORDER BY email'),
+      get: db.prepare('SELECT * FROM tokens WHERE email = ?'),
+      put: db.prepare(`
+        INSERT INTO tokens (email, token, credits, tier, updated_at, expires_at)
+        VALUES (@email, @token, @credits, @tier, @updated_at, @expires_at)
+        ON CONFLICT (email) DO UPDATE SET
+          token = excluded.token, credits = excluded.credits, tier = excluded.tier,
+          updated_at = excluded.updated_at, expires_at = excluded.expires_at
+      `),
+      delete: db.prepare('DELETE FROM tokens WHERE email = ?'),
+      clear: db.prepare('DELETE FROM tokens'),
+      addHistory: db.prepare(`
+        INSERT INTO history (at, email, outcome, credits, tier, error)
+        VALUES (@at, @email, @outcome, @credits, @tier, @error)
+      `),
+      history: db.prepare('SELECT at, email, outcome, credits, tier, error FROM history ORDER BY at, id'),
+      historyFor: db.prepare('SELECT at, email, outcome, credits, tier, error FROM history WHERE email = ? ORDER BY at, id'),
+      counts: db.prepare('SELECT (SELECT COUNT(*) FROM tokens) AS tokens, (SELECT COUNT(*) FROM history) AS history'),
+    };
+    return statements;
+  }
+
+  return {
+    name: 'sqlite',
+    sealsTokens: true,
+    all() {
+      const tokens = {};
+      for (const row of open().all.all()) tokens[row.email] = toEntry(row);
+      return tokens;
+    },
+    get(email) {
+      const row = open().get.get(email);
+      return row ? toEntry(row) : undefined;
+    },
+    put(email, entry) {
+      open().put.run(toRow(email, entry));
+    },
+    replaceAll(tokens) {
+      const { put, clear } = open();
+      db.transaction(() => {
+        clear.run();
+        for (const [email, entry] of Object.entries(tokens)) put.run(toRow(email, entry));
+      }).immediate();
+    },
+    delete(email) {
+      open().delete.run(email);
+    },
+    clear() {
+      open().clear.run();
+    },
+    appendHistory(entry) {
+      open().addHistory.run(toHistoryRow(entry));
+    },
+    history(email = null) {
+      const { history, historyFor } = open();
+      return email ? historyFor.all(email) : history.all();
+    },
+    // All or nothing, so a failed migration leaves an empty database
+    importAll(tokens, history) {
+      const { put, addHistory } = open();
+      db.transaction(() => {
+        for (const [email, entry] of Object.entries(tokens)) put.run(toRow(email, entry));
+        for (const entry of history) addHistory.run(toHistoryRow(entry));
+      }).immediate();
+    },
+    isEmpty() {
+      if (!existsSync(file)) return true;
+      const counts = open().counts.get();
+      return counts.tokens === 0 && counts.history === 0;
+    },
+    remove() {
+      this.close();
+      if (!existsSync(file)) return [];
+      for (const f of [file, `${file}-wal`, `${file}-shm`]) rmSync(f, { force: true });
+      return [file];
+    },
+    close() {
+      if (!db) return;
+      // Folds the WAL back into the database file
+      db.close();
+      db = null;
+      statements = null;
+    },
+  };
+}
@@ -0,0 +1,255 @@
+import { existsSync, readFileSync, renameSync, rmSync } from 'fs';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { createInterface } from 'readline';
+import { VAULT_FILE, SECRET_FILES, ensureDirs } from './paths.js';
+import { writeFileAtomic, withDataLock } from './lockfile.js';
+
+// Files under ~/.flowkey-auto can be stored encrypted with AES-256-GCM.
+// The key is derived with scrypt from a passphrase or the contents of a
+// keyfile; vault.json holds the salt and a check value used to verify it.
+
+const ALGORITHM = 'aes-256-gcm';
+const KDF = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const CHECK_VALUE = 'flowkey-vault';
+// A file sealed under a new key, waiting to replace the file it is named after
+const PENDING_SUFFIX = '.vault-pending';
+
+export const PASSPHRASE_ENV = 'FLOWKEY_VAULT_PASSPHRASE';
+export const KEYFILE_ENV = 'FLOWKEY_VAULT_KEYFILE';
+
+let unlockedKey = null;
+
+export function isVaultEnabled() {
+  return existsSync(VAULT_FILE);
+}
+
+export function isVaultUnlocked() {
+  return unlockedKey !== null;
+}
+
+function isEnvelope(data) {
+  return data && typeof data === 'object' && data.flowkeyVault === 1 && typeof data.data === 'string';
+}
+
+// scrypt with the vault's parameters; also used for encrypted profile archives
+export function deriveKey(secret, salt) {
+  return scryptSync(secret, salt, 32, KDF);
+}
+
+function encrypt(key, plaintext) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return {
+    flowkeyVault: 1,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, envelope) {
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final(),
+  ]).toString('utf-8');
+}
+
+function readSecret({ passphrase, keyFile } = {}) {
+  if (passphrase) return passphrase;
+  if (keyFile) return readFileSync(keyFile);
+  if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+  if (process.env[KEYFILE_ENV]) return readFileSync(process.env[KEYFILE_ENV]);
+  return null;
+}
+
+function readVaultMeta() {
+  return JSON.parse(readFileSync(VAULT_FILE, 'utf-8'));
+}
+
+function keyFromMeta(meta, secret) {
+  const key = deriveKey(secret, Buffer.from(meta.salt, 'base64'));
+  try {
+    if (decrypt(key, meta.check) !== CHECK_VALUE) throw new Error();
+  } catch (e) {
+    throw new Error('Vault unlock failed: wrong passphrase or keyfile');
+  }
+  return key;
+}
+
+function createVaultMeta(secret) {
+  const salt = randomBytes(16);
+  const key = deriveKey(secret, salt);
+  const meta = {
+    version: 1,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    check: encrypt(key, CHECK_VALUE),
+  };
+  return { key, meta };
+}
+
+// Rename pending files sealed under `key` into place, and delete ones from a
+// rekey that never got as far as writing vault.json
+function finishPending(key, files = SECRET_FILES) {
+  for (const file of files) {
+    const pending = file + PENDING_SUFFIX;
+    if (!existsSync(pending)) continue;
+    let sealedWithKey = false;
+    try {
+      decrypt(key, JSON.parse(readFileSync(pending, 'utf-8')));
+      sealedWithKey = true;
+    } catch (e) {}
+    if (sealedWithKey) {
+      renameSync(pending, file);
+    } else {
+      rmSync(pending, { force: true });
+    }
+  }
+}
+
+/**
+ * Encrypt `contents` ([file, plaintext] pairs) under a new key derived from
+ * `secret`. Every file is sealed to <file>.vault-pending first; writing
+ * vault.json is the commit point, after which the pending files are renamed
+ * into place. A crash before the commit leaves the old files and key as they
+ * were; after it, the next unlock finishes the renames.
+ */
+function rekeyFiles(contents, secret) {
+  const { key, meta } = createVaultMeta(secret);
+  ensureDirs();
+  try {
+    for (const [file, text] of contents) {
+      writeFileAtomic(file + PENDING_SUFFIX, JSON.stringify(encrypt(key, text), null, 2), { mode: 0o600 });
+    }
+  } catch (e) {
+    for (const [file] of contents) rmSync(file + PENDING_SUFFIX, { force: true });
+    throw e;
+  }
+  writeFileAtomic(VAULT_FILE, JSON.stringify(meta, null, 2), { mode: 0o600 });
+  unlockedKey = key;
+  finishPending(key, contents.map(([file]) => file));
+  return contents.map(([file]) => file);
+}
+
+/**
+ * Unlock the vault for this process. Falls back to FLOWKEY_VAULT_PASSPHRASE
+ * or FLOWKEY_VAULT_KEYFILE when neither option is given.
+ */
+export function unlockVault(options = {}) {
+  if (!isVaultEnabled()) return false;
+  const secret = readSecret(options);
+  if (!secret) {
+    throw new Error(`Vault is locked. Set ${PASSPHRASE_ENV} or ${KEYFILE_ENV}, or unlock it interactively`);
+  }
+  unlockedKey = keyFromMeta(readVaultMeta(), secret);
+  // Left by a rekey that was interrupted
+  if (SECRET_FILES.some(f => existsSync(f + PENDING_SUFFIX))) {
+    withDataLock(() => finishPending(unlockedKey));
+  }
+  return true;
+}
+
+export function lockVault() {
+  unlockedKey = null;
+}
+
+function getKey() {
+  if (!unlockedKey) unlockVault();
+  return unlockedKey;
+}
+
+// Encrypt a value when the vault is enabled, for secrets kept outside the
+// data files (e.g. the token column of the SQLite store).
+export function sealText(text) {
+  return isVaultEnabled() ? JSON.stringify(encrypt(getKey(), text)) : text;
+}
+
+// Reverse sealText(). Values that are not vault envelopes are returned as-is.
+export function openText(text, what = 'value') {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+  if (!isEnvelope(parsed)) return text;
+  try {
+    return decrypt(getKey(), parsed);
+  } catch (e) {
+    if (e.message.startsWith('Vault')) throw e;
+    throw new Error(`Could not decrypt ${what}: ${e.message}`);
+  }
+}
+
+// Read a data file, decrypting it if it was written by the vault. Plaintext
+// files are returned as-is so unmigrated data keeps working.
+export function readDataFile(file) {
+  return openText(readFileSync(file, 'utf-8'), file);
+}
+
+// Write a data file, encrypting it when the vault is enabled.
+export function writeDataFile(file, text) {
+  ensureDirs();
+  const content = isVaultEnabled() ? JSON.stringify(encrypt(getKey(), text), null, 2) : text;
+  writeFileAtomic(file, content, { mode: 0o600 });
+}
+
+/**
+ * Create the vault and encrypt the given plaintext files in place.
+ * Returns the list of files that were migrated.
+ */
+export function initVault(files, options = {}) {
+  if (isVaultEnabled()) {
+    throw new Error(`Vault already exists at: ${VAULT_FILE}`);
+  }
+  const secret = readSecret(options);
+  if (!secret) {
+    throw new Error(`No passphrase or keyfile given (set ${PASSPHRASE_ENV} or ${KEYFILE_ENV})`);
+  }
+
+  return withDataLock(() => {
+    const contents = files.filter(f => existsSync(f)).map(f => [f, readFileSync(f, 'utf-8')]);
+    return rekeyFiles(contents, secret);
+  });
+}
+
+/**
+ * Re-encrypt the given files under a new passphrase or keyfile. The vault
+ * must already be unlocked with the current one.
+ */
+export function rotateVaultKey(files, newSecret) {
+  if (!isVaultEnabled()) {
+    throw new Error('Vault is not enabled. Run --vault-init first');
+  }
+  // Deliberately not readSecret(): the env vars hold the *current* secret.
+  const secret = newSecret.passphrase || (newSecret.keyFile && readFileSync(newSecret.keyFile));
+  if (!secret) {
+    throw new Error('No new passphrase or keyfile given');
+  }
+
+  return withDataLock(() => {
+    const contents = files.filter(f => existsSync(f)).map(f => [f, readDataFile(f)]);
+    return rekeyFiles(contents, secret);
+  });
+}
+
+// Ask for a passphrase on the terminal without echoing it.
+export function promptPassphrase(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error(`Cannot prompt for a passphrase without a terminal. Set ${PASSPHRASE_ENV} or ${KEYFILE_ENV}`));
+      return;
+    }
+    const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords, toCsv } from '../src/csv.js';
+import { normalizeAccount, selectAccounts, exportAccounts } from '../src/accounts.js';
+
+test('parses quoted CSV fields, doubled quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n'), [['a', 'b'], ['x, y', 'say "hi"']]);
+  assert.deepEqual(parseCsvRecords('email,labels\nu@x.com,a;b'), [{ email: 'u@x.com', labels: 'a;b' }]);
+  assert.throws(() => parseCsv('"open'), /Unterminated/);
+});
+
+test('CSV output round-trips', () => {
+  const records = [{ email: 'u@x.com', notes: 'one, "two"\nthree' }];
+  assert.deepEqual(parseCsvRecords(toCsv(['email', 'notes'], records)), records);
+});
+
+test('normalizes accounts and rejects bad input', () => {
+  assert.deepEqual(
+    normalizeAccount({ email: ' u@x.com ', passwordEnv: 'PW', labels: 'a; b', enabled: 'no', notes: '' }),
+    { email: 'u@x.com', passwordEnv: 'PW', enabled: false, labels: ['a', 'b'] },
+  );
+  assert.throws(() => normalizeAccount({ email: 'nope' }), /Invalid email/);
+  assert.throws(() => normalizeAccount({ email: 'u@x.com', password: 'a', passwordEnv: 'B' }), /only one of/);
+  assert.throws(() => normalizeAccount({ email: 'u@x.com', enabled: 'maybe' }), /Invalid enabled/);
+});
+
+test('selects enabled accounts in a group', () => {
+  const accounts = [
+    { email: 'a@x.com', labels: ['team-a'] },
+    { email: 'b@x.com', labels: ['team-a'], enabled: false },
+    { email: 'c@x.com', labels: ['ops'] },
+  ];
+  assert.deepEqual(selectAccounts(accounts).map(a => a.email), ['a@x.com', 'c@x.com']);
+  assert.deepEqual(selectAccounts(accounts, { group: 'team-a' }).map(a => a.email), ['a@x.com']);
+});
+
+test('export leaves literal passwords out unless asked', () => {
+  const accounts = [{ email: 'a@x.com', password: 'secret' }, { email: 'b@x.com', passwordEnv: 'PW' }];
+  assert.doesNotMatch(exportAccounts(accounts), /secret/);
+  assert.match(exportAccounts(accounts), /"passwordEnv": "PW"/);
+  assert.match(exportAccounts(accounts, { withPasswords: true }), /secret/);
+  assert.match(exportAccounts(accounts, { format: 'csv' }), /^email,password,/);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+import { recordAttention, listAttention, dismissAttention } from '../src/attention.js';
+
+useTempHome('flowkey-attention-');
+
+test('queues manual-login failures until a run succeeds', () => {
+  const first = recordAttention({ email: 'A@x.com', success: false, error: 'login_required' });
+  assert.equal(first.failures, 1);
+  const again = recordAttention({ email: 'a@x.com', success: false, error: 'verification_required' });
+  assert.equal(again.failures, 2);
+  assert.equal(again.firstSeenAt, first.firstSeenAt);
+  assert.equal(again.reason, 'verification_required');
+
+  // Failures a retry can fix neither queue nor clear an account
+  assert.equal(recordAttention({ email: 'b@x.com', success: false, error: 'token_timeout' }), null);
+  assert.equal(recordAttention({ email: 'a@x.com', success: false, error: 'navigation_failed' }).failures, 2);
+  assert.deepEqual(listAttention().map(e => e.email), ['a@x.com']);
+
+  recordAttention({ email: 'a@x.com', success: true, token: 't' });
+  assert.deepEqual(listAttention(), []);
+});
+
+test('dismisses a queued account', () => {
+  recordAttention({ email: 'c@x.com', success: false, error: 'password_rejected' });
+  assert.equal(dismissAttention('c@x.com'), true);
+  assert.equal(dismissAttention('c@x.com'), false);
+  assert.deepEqual(listAttention(), []);
+});
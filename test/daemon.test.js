@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DAEMON_PID_FILE, SCHEDULE_STATE_FILE } from '../src/paths.js';
+import { acquireDaemonPidFile, createHeartbeat, daemonStatus, systemdUnit } from '../src/daemon.js';
+import { createScheduler } from '../src/schedule.js';
+import { startMockFlowServer } from '../src/mock-flow.js';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome('flowkey-daemon-');
+
+const script = fileURLToPath(new URL('../get-flow-token.js', import.meta.url));
+// The CLI always launches the installed Chrome (channel "chrome")
+const chromeSkip = process.env.FLOWKEY_TEST_CHANNEL === 'chrome' ? false : 'needs Chrome (FLOWKEY_TEST_CHANNEL=chrome)';
+
+test('status follows the pidfile and heartbeat', () => {
+  assert.equal(daemonStatus().running, false);
+
+  const release = acquireDaemonPidFile();
+  const heartbeat = createHeartbeat({ mode: 'schedule', schedule: '0 0 * * *', timezone: 'UTC', nextRunAt: () => new Date('2030-01-01T00:00:00Z') });
+  heartbeat.start();
+  heartbeat.runStarted(['a@x.com']);
+  heartbeat.runFinished([{ email: 'a@x.com', success: true }]);
+
+  const status = daemonStatus();
+  assert.equal(status.running, true);
+  assert.equal(status.pid, process.pid);
+  assert.equal(readFileSync(DAEMON_PID_FILE, 'utf-8'), `${process.pid}\n`);
+  assert.equal(status.stale, false);
+  assert.equal(status.heartbeat.state, 'idle');
+  assert.equal(status.heartbeat.nextRunAt, '2030-01-01T00:00:00.000Z');
+  assert.deepEqual({ ...status.heartbeat.lastRun, startedAt: null, finishedAt: null },
+    { startedAt: null, finishedAt: null, accounts: 1, succeeded: 1, failed: 0, aborted: 0 });
+  assert.throws(() => acquireDaemonPidFile(), { code: 'ELOCKED' });
+
+  heartbeat.stop();
+  release();
+  assert.equal(daemonStatus().running, false);
+  assert.equal(existsSync(DAEMON_PID_FILE), false);
+  assert.equal(daemonStatus().heartbeat.state, 'stopped');
+});
+
+test('accounts a shutdown cancelled are caught up on the next start', async () => {
+  let scheduler;
+  const ran = new Promise((resolve) => {
+    scheduler = createScheduler({
+      schedule: '0 0 * * *',
+      timezone: 'UTC',
+      getAccounts: () => [{ email: 'done@x.com' }, { email: 'cancelled@x.com' }, { email: 'skipped@x.com' }],
+      run: async () => {
+        scheduler.stop();
+        resolve();
+        return [{ email: 'done@x.com', success: true }, { email: 'cancelled@x.com', success: false, error: 'aborted' }];
+      },
+    });
+  });
+  scheduler.start();
+  await ran;
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const state = JSON.parse(readFileSync(SCHEDULE_STATE_FILE, 'utf-8'));
+  assert.deepEqual(Object.keys(state), ['done@x.com']);
+});
+
+test('systemd unit escapes arguments and keeps the data home', () => {
+  const unit = systemdUnit({ script: '/opt/flowkey/get-flow-token.js', daemonArgs: ['--schedule', '0 */6 * * *', '--sink', 'command=echo $HOME 100%'], user: true });
+  assert.match(unit, new RegExp(`ExecStart=\\S+ /opt/flowkey/get-flow-token.js --daemon --home ${home} --schedule "0 \\*/6 \\* \\* \\*" --sink "command=echo \\$\\$HOME 100%%"`));
+  assert.match(unit, /WantedBy=default\.target/);
+  assert.doesNotMatch(unit, /^PIDFile=/m);
+  assert.doesNotMatch(unit, /^User=/m);
+});
+
+test('SIGTERM during a run exits within the shutdown grace period', { skip: chromeSkip, timeout: 60000 }, async () => {
+  // The app page loads but never calls the API, so the run sits in capture
+  const mock = await startMockFlowServer({ requireLogin: false, issueToken: false });
+  const daemonHome = mkdtempSync(join(tmpdir(), 'flowkey-daemon-'));
+  writeFileSync(join(daemonHome, 'accounts.json'), JSON.stringify([{ email: 'slow@example.com', password: 'x' }]));
+  const child = spawn(process.execPath, [script, '--daemon', '--home', daemonHome, '--phase-timeout', 'token=60s', '--shutdown-grace', '2s'], {
+    env: {
+      ...process.env,
+      FLOWKEY_FLOW_URL: mock.target.flowUrl,
+      FLOWKEY_API_PATTERN: mock.target.apiPattern.source,
+      FLOWKEY_CREDITS_PATTERN: mock.target.creditsPattern.source,
+    },
+    stdio: 'ignore',
+  });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  try {
+    // Chrome is up once it has loaded the app page
+    const startedBy = Date.now() + 30000;
+    while (!mock.requests.some(r => r.path === '/fx/tools/flow')) {
+      assert.ok(Date.now() < startedBy, 'the daemon never opened the app page');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    // and waiting for the token a few seconds later
+    await new Promise(resolve => setTimeout(resolve, 5000));
+
+    const signalledAt = Date.now();
+    child.kill('SIGTERM');
+    assert.equal(await exited, 0);
+    // Chrome stays up for the grace period, then the run is cancelled
+    const took = Date.now() - signalledAt;
+    assert.ok(took >= 1500 && took < 2000 + 8000, `took ${took}ms`);
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    mock.close();
+    rmSync(daemonHome, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdirSync, readdirSync, readFileSync, rmSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { DIAGNOSTICS_DIR } from '../src/paths.js';
+import { recordDiagnostics, pruneDiagnostics } from '../src/diagnostics.js';
+import { useTempHome } from './helpers.js';
+
+useTempHome('flowkey-diagnostics-');
+
+// Just enough of a Playwright page and context for the recorder
+function fakeBrowser(html) {
+  const context = new EventEmitter();
+  const page = Object.assign(new EventEmitter(), {
+    url: () => 'https://example.com/app?access_token=abc',
+    screenshot: async () => { throw new Error('no screenshot here'); },
+    content: async () => html,
+  });
+  return { context, page };
+}
+
+test('strips tokens and auth headers from a saved bundle', async () => {
+  const { context, page } = fakeBrowser('<script>fetch(u, { headers: { Authorization: "Bearer ya29.secret-token" } })</script>');
+  const recorder = recordDiagnostics(context, page, 'a@x.com');
+  context.emit('request', {
+    method: () => 'GET',
+    url: () => 'https://api.example.com/v1/credits?key=k',
+    resourceType: () => 'fetch',
+    headers: () => ({ authorization: 'Bearer ya29.secret-token', 'x-trace': 'Bearer ya29.secret-token' }),
+  });
+  page.emit('pageerror', new Error('Request with ya29.secret-token failed'));
+
+  const dir = await recorder.save(page, 'token_timeout');
+  assert.ok(dir.startsWith(DIAGNOSTICS_DIR));
+  for (const file of readdirSync(dir)) {
+    assert.doesNotMatch(readFileSync(join(dir, file), 'utf-8'), /secret-token/, file);
+  }
+  const [request] = JSON.parse(readFileSync(join(dir, 'network.json'), 'utf-8'));
+  assert.equal(request.headers.authorization, '[redacted]');
+  assert.equal(request.headers['x-trace'], 'Bearer [redacted]');
+  assert.match(request.url, /key=%5Bredacted%5D/);
+});
+
+test('keeps the newest bundles per account and drops old ones', () => {
+  rmSync(DIAGNOSTICS_DIR, { recursive: true, force: true });
+  const bundle = (name, ageDays = 0) => {
+    const dir = join(DIAGNOSTICS_DIR, name);
+    mkdirSync(dir, { recursive: true });
+    const at = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+    utimesSync(dir, at, at);
+  };
+  for (let i = 1; i <= 4; i++) bundle(`2026-01-0${i}T00-00-00-000Z_a_x.com`);
+  bundle('2026-01-01T00-00-00-000Z_b_x.com');
+  bundle('2025-01-01T00-00-00-000Z_c_x.com', 30);
+
+  assert.equal(pruneDiagnostics({ keep: 2 }), 3);
+  assert.deepEqual(readdirSync(DIAGNOSTICS_DIR).sort(), [
+    '2026-01-01T00-00-00-000Z_b_x.com',
+    '2026-01-03T00-00-00-000Z_a_x.com',
+    '2026-01-04T00-00-00-000Z_a_x.com',
+  ]);
+});
@@ -0,0 +1,41 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { initFirebase, pushToFirestore, removeFromFirestore } from '../src/sinks/firestore.js';
+
+// Runs against a local emulator (firebase emulators:start --only firestore,
+// then FIRESTORE_EMULATOR_HOST=127.0.0.1:8080), so it needs no credentials
+const skip = process.env.FIRESTORE_EMULATOR_HOST ? false : 'needs the Firestore emulator (FIRESTORE_EMULATOR_HOST)';
+
+describe('Firestore sink against the emulator', { skip }, () => {
+  const collection = `flowkey_test_${Date.now()}`;
+  let db;
+
+  before(() => {
+    initFirebase();
+    db = admin.firestore();
+  });
+
+  after(async () => {
+    await db?.recursiveDelete(db.collection(collection));
+  });
+
+  const doc = email => db.collection(collection).doc(email.replace(/@/g, '_at_').replace(/\./g, '_'));
+
+  test('writes more than one batch and keeps the token on failure', { timeout: 60000 }, async () => {
+    const results = Array.from({ length: 260 }, (_, i) => ({ email: `user${i}@x.com`, success: true, token: `token-${i}`, credits: i, tier: 'pro' }));
+    assert.deepEqual(await pushToFirestore(results, collection, { history: true }), { success: true, pushed: 260, failed: 0 });
+    assert.equal((await db.collection(collection).get()).size, 260);
+
+    await pushToFirestore([{ email: 'user0@x.com', success: false, error: 'login_timeout' }], collection, { history: true });
+    const data = (await doc('user0@x.com').get()).data();
+    assert.deepEqual([data.token, data.status, data.lastError], ['token-0', 'failed', 'login_timeout']);
+    assert.equal((await doc('user0@x.com').collection('history').get()).size, 2);
+  });
+
+  test('removes a document together with its history', { timeout: 60000 }, async () => {
+    assert.deepEqual(await removeFromFirestore('user0@x.com', collection), { success: true });
+    assert.equal((await doc('user0@x.com').get()).exists, false);
+    assert.equal((await doc('user0@x.com').collection('history').get()).size, 0);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initFirebase, pushToFirestore, removeFromFirestore } from '../src/sinks/firestore.js';
+
+// A stand-in for the admin client that records each committed batch and
+// every recursive delete. The batch numbered `failAt` fails to commit.
+const commits = [];
+const deleted = [];
+let failAt = null;
+let autoId = 0;
+
+function docRef(path) {
+  return {
+    path,
+    collection: name => ({ doc: (id = `auto-${++autoId}`) => docRef(`${path}/${name}/${id}`) }),
+  };
+}
+
+const firestore = {
+  collection: name => ({ doc: id => docRef(`${name}/${id}`) }),
+  batch() {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push({ path: ref.path, data, options }),
+      commit: async () => {
+        if (commits.length === failAt) throw new Error('4 DEADLINE_EXCEEDED');
+        commits.push(writes);
+      },
+    };
+  },
+  recursiveDelete: async (ref) => { deleted.push(ref.path); },
+};
+
+const ok = n => Array.from({ length: n }, (_, i) => ({ email: `user${i}@x.com`, success: true, token: `token-${i}`, credits: i, tier: 'pro' }));
+
+before(() => initFirebase({ firestore }));
+
+beforeEach(() => {
+  commits.length = 0;
+  deleted.length = 0;
+  failAt = null;
+});
+
+test('commits at most 500 writes per batch', async () => {
+  assert.deepEqual(await pushToFirestore(ok(500)), { success: true, pushed: 500, failed: 0 });
+  assert.deepEqual(commits.map(c => c.length), [500]);
+
+  commits.length = 0;
+  assert.deepEqual(await pushToFirestore(ok(300), 'tokens', { history: true }), { success: true, pushed: 300, failed: 0 });
+  assert.deepEqual(commits.map(c => c.length), [500, 100]);
+  const writes = commits.flat();
+  assert.equal(writes.filter(w => w.path.includes('/history/')).length, 300);
+  assert.ok(writes.every(w => w.path.startsWith('tokens/user')));
+  assert.deepEqual(await pushToFirestore([]), { success: true, pushed: 0 });
+});
+
+test('records failures without touching the stored token', async () => {
+  await pushToFirestore([...ok(1), { email: 'b.c@x.com', success: false, error: 'login_timeout' }], 'tokens', { history: true });
+  const [doc, entry, failed, failedEntry] = commits[0];
+  assert.equal(doc.path, 'tokens/user0_at_x_com');
+  assert.equal(doc.data.token, 'token-0');
+  assert.deepEqual(doc.options, { merge: true });
+  assert.equal(entry.data.success, true);
+  assert.equal('token' in entry.data, false);
+
+  assert.equal(failed.path, 'tokens/b_c_at_x_com');
+  assert.deepEqual(failed.options, { merge: true });
+  assert.deepEqual([failed.data.status, failed.data.lastError, 'token' in failed.data], ['failed', 'login_timeout', false]);
+  assert.equal(failedEntry.data.error, 'login_timeout');
+});
+
+test('reports a failed commit partway through', async () => {
+  failAt = 1;
+  assert.deepEqual(await pushToFirestore(ok(600)), { success: false, error: '4 DEADLINE_EXCEEDED' });
+  assert.deepEqual(commits.map(c => c.length), [500]);
+});
+
+test('removes an account document with its history', async () => {
+  assert.deepEqual(await removeFromFirestore('a.b@x.com', 'tokens'), { success: true });
+  assert.deepEqual(deleted, ['tokens/a_b_at_x_com']);
+
+  firestore.recursiveDelete = async () => { throw new Error('7 PERMISSION_DENIED'); };
+  assert.deepEqual(await removeFromFirestore('a.b@x.com'), { success: false, error: '7 PERMISSION_DENIED' });
+});
@@ -0,0 +1,186 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { chromium } from 'playwright';
+import { getFlowToken, loadTokens, loadAttention, loadHistory, parseTimeoutFlag } from '../index.js';
+import { startMockFlowServer } from '../src/mock-flow.js';
+import { useTempHome } from './helpers.js';
+
+// Profiles and tokens go to a throwaway data home
+useTempHome('flowkey-test-');
+
+// FLOWKEY_TEST_CHANNEL=chrome uses the installed Chrome instead of
+// Playwright's bundled Chromium (npx playwright install chromium).
+const channel = process.env.FLOWKEY_TEST_CHANNEL || undefined;
+const hasBrowser = Boolean(channel) || existsSync(chromium.executablePath());
+const skip = hasBrowser ? false : 'no Chromium found (run: npx playwright install chromium)';
+
+// The browser always runs headless here; the `headless` option only decides
+// whether getFlowToken may attempt a login.
+const launch = { channel, headless: true };
+const timeouts = { navigation: 10000, emailSubmit: 500, login: 4000, apiTrigger: 500, token: 2000, manual: 1000 };
+
+describe('mock Flow server', () => {
+  let mock;
+  before(async () => { mock = await startMockFlowServer({ password: 'secret' }); });
+  after(() => mock.close());
+
+  test('redirects a signed-out visitor to sign in', async () => {
+    const html = await (await fetch(mock.target.flowUrl)).text();
+    assert.match(html, /href="\/signin/);
+  });
+
+  test('sets a session cookie for the right password only', async () => {
+    const post = (password) => fetch(`${mock.url}/signin/challenge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ email: 'a@example.com', password }),
+      redirect: 'manual',
+    });
+
+    const wrong = await post('nope');
+    assert.equal(wrong.status, 200);
+    assert.equal(wrong.headers.get('set-cookie'), null);
+
+    const right = await post('secret');
+    assert.equal(right.status, 302);
+    const cookie = right.headers.get('set-cookie').split(';')[0];
+
+    const html = await (await fetch(mock.target.flowUrl, { headers: { Cookie: cookie } })).text();
+    assert.match(html, /alt="avatar"/);
+    assert.match(html, /Bearer ya29\.mock/);
+  });
+
+  test('serves credits only with a bearer token', async () => {
+    assert.equal((await fetch(`${mock.url}/v1/credits`)).status, 401);
+    const res = await fetch(`${mock.url}/v1/credits`, { headers: { Authorization: 'Bearer x' } });
+    assert.deepEqual(await res.json(), { credits: 880, userPaygateTier: 'PAYGATE_TIER_ONE' });
+  });
+});
+
+describe('getFlowToken against the mock', { skip }, () => {
+  let mock;
+  before(async () => { mock = await startMockFlowServer({ password: 'secret', token: 'ya29.mock-success-token' }); });
+  after(() => mock.close());
+
+  const run = (email, options) => getFlowToken(email, { target: mock.target, launch, timeouts, ...options });
+  const withoutTimings = ({ timings, ...rest }) => rest;
+
+  test('logs in, captures the token and credits', async () => {
+    const events = new EventEmitter();
+    const seen = [];
+    for (const name of ['start', 'login_required', 'token_captured', 'credits', 'result']) {
+      events.on(name, () => seen.push(name));
+    }
+
+    const result = await run('success@example.com', { headless: false, password: 'secret', events });
+
+    assert.deepEqual(withoutTimings(result), {
+      email: 'success@example.com',
+      success: true,
+      token: 'ya29.mock-success-token',
+      credits: 880,
+      tier: 'PAYGATE_TIER_ONE',
+    });
+    assert.deepEqual(seen, ['start', 'login_required', 'token_captured', 'credits', 'result']);
+    assert.ok(result.timings.durationMs > 0);
+    assert.deepEqual(Object.keys(result.timings.phases), ['start', 'navigate', 'login', 'capture']);
+    assert.equal(loadTokens()['success@example.com'].token, 'ya29.mock-success-token');
+  });
+
+  test('reuses the saved profile without logging in again', async () => {
+    const result = await run('success@example.com', { headless: true });
+    assert.equal(result.success, true);
+    assert.equal(result.token, 'ya29.mock-success-token');
+  });
+
+  test('reports login_required in headless mode without a session', async () => {
+    const result = await run('headless@example.com', { headless: true });
+    assert.deepEqual(withoutTimings(result), { email: 'headless@example.com', success: false, error: 'login_required' });
+    assert.equal(loadAttention()['headless@example.com'].reason, 'login_required');
+  });
+
+  test('reports password_rejected for a wrong password', async () => {
+    const result = await run('wrong@example.com', { headless: false, password: 'not-the-password' });
+    assert.deepEqual(withoutTimings(result), { email: 'wrong@example.com', success: false, error: 'password_rejected' });
+  });
+
+  test('reports verification_required for a 2FA challenge', async () => {
+    mock.options.verification = true;
+    try {
+      const result = await run('2fa@example.com', { headless: false, password: 'secret' });
+      assert.equal(result.error, 'verification_required');
+    } finally {
+      mock.options.verification = false;
+    }
+  });
+
+  test('reports login_timeout when nobody completes the login', async () => {
+    const result = await run('idle@example.com', { headless: false });
+    assert.deepEqual(withoutTimings(result), { email: 'idle@example.com', success: false, error: 'login_timeout' });
+  });
+
+  test('saves a diagnostics bundle for a failed account', async () => {
+    const result = await run('diagnostics@example.com', { headless: true, diagnostics: true });
+    assert.equal(result.error, 'login_required');
+    for (const file of ['screenshot.png', 'page.html', 'info.json', 'console.json', 'network.json']) {
+      assert.ok(existsSync(join(result.diagnostics, file)), file);
+    }
+    const info = JSON.parse(readFileSync(join(result.diagnostics, 'info.json'), 'utf-8'));
+    assert.equal(info.error, 'login_required');
+    assert.match(info.finalUrl, /\/signin/);
+  });
+
+  test('reports token_timeout when the app never calls the API', async () => {
+    mock.options.requireLogin = false;
+    mock.options.issueToken = false;
+    try {
+      const result = await run('silent@example.com', { headless: true });
+      assert.deepEqual(withoutTimings(result), { email: 'silent@example.com', success: false, error: 'token_timeout' });
+      assert.equal(loadTokens()['silent@example.com'], undefined);
+    } finally {
+      mock.options.requireLogin = true;
+      mock.options.issueToken = true;
+    }
+  });
+
+  test('aborting the signal closes the browser and reports aborted', async () => {
+    mock.options.requireLogin = false;
+    mock.options.issueToken = false;
+    try {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('Shutting down')), 1000);
+      const result = await run('aborted@example.com', { headless: true, signal: controller.signal, timeouts: { ...timeouts, token: 60000 } });
+      assert.deepEqual(withoutTimings(result), { email: 'aborted@example.com', success: false, error: 'aborted', message: 'Shutting down' });
+      assert.ok(result.timings.durationMs < 30000);
+    } finally {
+      mock.options.requireLogin = true;
+      mock.options.issueToken = true;
+    }
+  });
+
+  test('gives up at the deadline and records it', async () => {
+    mock.options.requireLogin = false;
+    mock.options.issueToken = false;
+    try {
+      const result = await run('slow@example.com', { headless: true, deadlineMs: 1500, timeouts: { ...timeouts, token: 60000 } });
+      assert.equal(result.error, 'deadline_exceeded');
+      assert.match(result.message, /deadline/);
+      assert.ok(result.timings.durationMs < 30000);
+      assert.equal(loadHistory('slow@example.com').at(-1).error, 'deadline_exceeded');
+    } finally {
+      mock.options.requireLogin = true;
+      mock.options.issueToken = true;
+    }
+  });
+});
+
+test('rejects unknown timeout phases before launching anything', async () => {
+  assert.deepEqual(parseTimeoutFlag('networkIdle=2s'), { networkIdle: 2000 });
+  assert.deepEqual(parseTimeoutFlag('emailSubmit=1s'), { emailSubmit: 1000 });
+  assert.throws(() => parseTimeoutFlag('token'), /Usage: --phase-timeout/);
+  await assert.rejects(getFlowToken('a@example.com', { timeouts: { logn: 1000 } }), /Unknown timeout phase: logn/);
+  await assert.rejects(getFlowToken('a@example.com', { timeouts: { login: -1 } }), /Invalid timeout for login/);
+});
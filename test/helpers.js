@@ -0,0 +1,18 @@
+import { after } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setDataHome } from '../src/paths.js';
+
+/**
+ * Point every data file at a new temporary home (ignoring FLOWKEY_ENV), and
+ * delete it after the current test file, or test when called inside one.
+ * Returns the home's path.
+ */
+export function useTempHome(prefix = 'flowkey-test-') {
+  const home = mkdtempSync(join(tmpdir(), prefix));
+  delete process.env.FLOWKEY_ENV;
+  setDataHome({ home });
+  after(() => rmSync(home, { recursive: true, force: true }));
+  return home;
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, readdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir, hostname } from 'os';
+import { join } from 'path';
+import { writeFileAtomic, acquireLock, lockHolder } from '../src/lockfile.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'flowkey-lock-'));
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('atomic writes replace the file and leave no temp files', () => {
+  const file = join(dir, 'data.json');
+  writeFileAtomic(file, 'one');
+  writeFileAtomic(file, 'two');
+  assert.equal(readFileSync(file, 'utf-8'), 'two');
+  assert.deepEqual(readdirSync(dir), ['data.json']);
+});
+
+test('a held lock is refused until released', () => {
+  const lockFile = join(dir, 'held.lock');
+  const release = acquireLock(lockFile, { what: 'Thing' });
+  assert.equal(lockHolder(lockFile).pid, process.pid);
+  assert.throws(() => acquireLock(lockFile, { what: 'Thing' }), (e) =>
+    e.code === 'ELOCKED' && e.pid === process.pid && /Thing is in use by pid \d+ \(this process\)/.test(e.message));
+
+  release();
+  assert.equal(lockHolder(lockFile), null);
+  acquireLock(lockFile)();
+});
+
+test('a lock left by a dead process is taken over', () => {
+  const lockFile = join(dir, 'stale.lock');
+  // Pids are capped well below this on Linux and macOS
+  writeFileSync(lockFile, JSON.stringify({ pid: 2 ** 30, hostname: hostname() }));
+  assert.equal(lockHolder(lockFile), null);
+  const release = acquireLock(lockFile);
+  assert.equal(JSON.parse(readFileSync(lockFile, 'utf-8')).pid, process.pid);
+  release();
+});
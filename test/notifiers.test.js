@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAlerts } from '../src/notifiers.js';
+
+const hour = 60 * 60 * 1000;
+const start = new Date('2026-01-01T00:00:00Z');
+const at = (hours) => new Date(start.getTime() + hours * hour);
+
+const ok = (credits = 100) => ({ email: 'A@x.com', success: true, credits });
+const failed = (error = 'login_timeout') => ({ email: 'A@x.com', success: false, error });
+
+// Feed results through evaluateAlerts night after night, carrying the state
+function run(config, steps) {
+  let state = {};
+  return steps.map(([result, now]) => {
+    const { alerts, nextState } = evaluateAlerts([result], config, state, now);
+    state = nextState;
+    return alerts.map(a => `${a.status}:${a.kind}${a.error ? `:${a.error}` : ''}`);
+  });
+}
+
+test('fires a failure once, stays quiet while it lasts, and resolves', () => {
+  assert.deepEqual(run({}, [
+    [failed(), at(0)],
+    [failed(), at(24)],
+    [ok(), at(48)],
+    [ok(), at(72)],
+  ]), [
+    ['firing:failure:login_timeout'],
+    [],
+    ['resolved:failure'],
+    [],
+  ]);
+});
+
+test('re-fires after recovery and when the error changes', () => {
+  const { alerts, nextState } = evaluateAlerts([failed()], {}, {}, at(0));
+  assert.equal(alerts[0].email, 'a@x.com');
+  assert.equal(alerts[0].since, at(0).toISOString());
+  assert.deepEqual(nextState, { 'a@x.com': { failure: { since: at(0).toISOString(), lastSentAt: at(0).toISOString(), error: 'login_timeout' } } });
+
+  assert.deepEqual(run({}, [
+    [failed(), at(0)],
+    [failed('password_rejected'), at(24)],
+    [ok(), at(48)],
+    [failed('password_rejected'), at(72)],
+  ]), [
+    ['firing:failure:login_timeout'],
+    ['firing:failure:password_rejected'],
+    ['resolved:failure'],
+    ['firing:failure:password_rejected'],
+  ]);
+});
+
+test('repeats a lasting problem after repeatAfterHours, keeping its start', () => {
+  const config = { rules: { repeatAfterHours: 48 } };
+  let state = {};
+  const since = [];
+  for (const hours of [0, 24, 47, 48, 72, 96]) {
+    const { alerts, nextState } = evaluateAlerts([failed()], config, state, at(hours));
+    state = nextState;
+    since.push(alerts.map(a => `${hours}h since ${(new Date(a.since) - start) / hour}h`));
+  }
+  assert.deepEqual(since.flat(), ['0h since 0h', '48h since 0h', '96h since 0h']);
+});
+
+test('checks low credits on successful runs only', () => {
+  const config = { rules: { lowCredits: 50 } };
+  assert.deepEqual(run(config, [
+    [ok(40), at(0)],
+    [failed(), at(24)],
+    [ok(30), at(48)],
+    [ok(60), at(72)],
+  ]), [
+    ['firing:low_credits'],
+    ['firing:failure:login_timeout'],
+    ['resolved:failure'],
+    ['resolved:low_credits'],
+  ]);
+});
+
+test('applies per-account overrides, muting and notifyResolved', () => {
+  assert.deepEqual(run({ accounts: { 'a@x.com': { muted: true } } }, [[failed(), at(0)]]), [[]]);
+  assert.deepEqual(run({ rules: { failures: ['password_rejected'] } }, [[failed(), at(0)]]), [[]]);
+  assert.deepEqual(run({ rules: { notifyResolved: false } }, [
+    [failed(), at(0)],
+    [ok(), at(24)],
+    [failed(), at(48)],
+  ]), [
+    ['firing:failure:login_timeout'],
+    [],
+    ['firing:failure:login_timeout'],
+  ]);
+  assert.deepEqual(run({}, [[failed('aborted'), at(0)]]), [[]]);
+});
@@ -0,0 +1,32 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as paths from '../src/paths.js';
+
+const home = mkdtempSync(join(tmpdir(), 'flowkey-paths-'));
+after(() => {
+  paths.setDataHome();
+  rmSync(home, { recursive: true, force: true });
+});
+
+test('named environments get their own directory under the data home', () => {
+  paths.setDataHome({ home, env: 'staging' });
+  assert.equal(paths.AUTH_DIR, join(home, 'envs', 'staging'));
+  assert.equal(paths.TOKENS_FILE, join(home, 'envs', 'staging', 'tokens.json'));
+  assert.ok(paths.getProfileDir('u@x.com').startsWith(join(home, 'envs', 'staging', 'profiles')));
+  assert.deepEqual(paths.SECRET_FILES, ['accounts.json', 'tokens.json', 'outbox.json'].map(f => join(home, 'envs', 'staging', f)));
+
+  paths.setDataHome({ home });
+  assert.equal(paths.ENV_NAME, null);
+  assert.equal(paths.ACCOUNTS_FILE, join(home, 'accounts.json'));
+});
+
+test('lists environments and rejects unsafe names', () => {
+  mkdirSync(join(home, 'envs', 'prod'), { recursive: true });
+  mkdirSync(join(home, 'envs', 'dev'), { recursive: true });
+  paths.setDataHome({ home });
+  assert.deepEqual(paths.listEnvironments(), ['dev', 'prod']);
+  assert.throws(() => paths.setDataHome({ home, env: '../prod' }), /Invalid environment name/);
+});
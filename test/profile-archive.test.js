@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getProfileDir, PROFILES_DIR } from '../src/paths.js';
+import { acquireProfileLock } from '../src/lockfile.js';
+import { exportProfile, importProfile } from '../src/profile-archive.js';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome('flowkey-archive-');
+
+const source = getProfileDir('a@x.com');
+mkdirSync(join(source, 'Default', 'Cache'), { recursive: true });
+writeFileSync(join(source, 'Default', 'Cookies'), 'session');
+writeFileSync(join(source, 'Default', 'Cache', 'data_0'), 'cached');
+
+test('round-trips a profile under another account, without caches', async () => {
+  const file = join(home, 'plain.flowprofile');
+  const header = await exportProfile('a@x.com', file);
+  assert.equal(header.encrypted, false);
+
+  const { email } = await importProfile(file, { email: 'B@x.com' });
+  assert.equal(email, 'b@x.com');
+  assert.equal(readFileSync(join(getProfileDir('b@x.com'), 'Default', 'Cookies'), 'utf-8'), 'session');
+  assert.deepEqual(readdirSync(join(getProfileDir('b@x.com'), 'Default')), ['Cookies']);
+  await assert.rejects(importProfile(file, { email: 'b@x.com' }), /already has a profile/);
+});
+
+test('encrypted archives need the right passphrase', async () => {
+  const file = join(home, 'secret.flowprofile');
+  await exportProfile('a@x.com', file, { passphrase: 'correct horse' });
+  assert.doesNotMatch(readFileSync(file).toString('latin1'), /Cookies/);
+
+  await assert.rejects(importProfile(file, { email: 'c@x.com' }), /is encrypted/);
+  await assert.rejects(importProfile(file, { email: 'c@x.com', passphrase: 'wrong' }), /wrong passphrase/);
+  assert.equal(existsSync(getProfileDir('c@x.com')), false);
+
+  await importProfile(file, { email: 'c@x.com', passphrase: 'correct horse' });
+  assert.equal(readFileSync(join(getProfileDir('c@x.com'), 'Default', 'Cookies'), 'utf-8'), 'session');
+  assert.ok(readdirSync(PROFILES_DIR).every(name => !name.startsWith('.import-')));
+});
+
+test('refuses profiles a run has open', async () => {
+  const file = join(home, 'plain.flowprofile');
+  const release = acquireProfileLock('b@x.com');
+  try {
+    await assert.rejects(importProfile(file, { email: 'b@x.com', force: true }), /in use/);
+    await assert.rejects(exportProfile('b@x.com', join(home, 'busy.flowprofile')), /in use/);
+    assert.equal(existsSync(join(home, 'busy.flowprofile')), false);
+  } finally {
+    release();
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRunReport, exitCodeFor, validateFailOn, EXIT_OK, EXIT_FAILED } from '../src/report.js';
+
+const ok = { email: 'a@example.com', success: true, token: 'ya29.secret', credits: 880, tier: 'PAYGATE_TIER_ONE' };
+const failed = {
+  email: 'b@example.com',
+  success: false,
+  error: 'password_rejected',
+  timings: { startedAt: '2025-12-11T00:00:00.000Z', durationMs: 4200, phases: { start: 200, navigate: 1000, login: 3000 } },
+};
+
+test('exit code follows the --fail-on policy', () => {
+  assert.equal(exitCodeFor([ok, ok], 'any'), EXIT_OK);
+  assert.equal(exitCodeFor([ok, failed], 'any'), EXIT_FAILED);
+  assert.equal(exitCodeFor([ok, failed], 'all'), EXIT_OK);
+  assert.equal(exitCodeFor([failed, failed], 'all'), EXIT_FAILED);
+  assert.equal(exitCodeFor([failed, failed], 'none'), EXIT_OK);
+  assert.equal(exitCodeFor([], 'any'), EXIT_OK);
+});
+
+test('rejects unknown --fail-on policies', () => {
+  assert.equal(validateFailOn('all'), 'all');
+  assert.throws(() => validateFailOn('some'), /Invalid --fail-on/);
+});
+
+test('run report counts errors, keeps timings and leaves tokens out', () => {
+  const report = buildRunReport([ok, failed], { startedAt: new Date(Date.now() - 5000), failOn: 'any' });
+
+  assert.equal(report.exitCode, EXIT_FAILED);
+  assert.deepEqual(report.summary, { total: 2, succeeded: 1, failed: 1, errors: { password_rejected: 1 } });
+  assert.ok(report.durationMs >= 5000);
+  assert.equal(report.accounts[1].durationMs, 4200);
+  assert.deepEqual(report.accounts[1].phases, failed.timings.phases);
+  assert.equal(report.accounts[1].errorDescription, 'The password was not accepted');
+  assert.doesNotMatch(JSON.stringify(report), /ya29/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveToken, getToken } from '../src/store.js';
+import { createExpiryScheduler } from '../src/schedule.js';
+import { useTempHome } from './helpers.js';
+
+const lead = 10 * 60 * 1000;
+const retry = 15 * 60 * 1000;
+
+// An expiry scheduler on a fake clock. settle() (re)starts it and resolves
+// with the next run it announces; `runs` records every batch it ran.
+function expiryScheduler(t, { accounts, clock, run = () => {} }) {
+  const runs = [];
+  let announce = null;
+  const scheduler = createExpiryScheduler({
+    leadMs: lead,
+    retryMs: retry,
+    now: () => clock.now,
+    getAccounts: () => accounts.map(email => ({ email })),
+    run: async (emails) => {
+      runs.push(emails);
+      await run(emails);
+    },
+    onNext: at => announce?.(at.getTime()),
+  });
+  t.after(() => scheduler.stop());
+  const settle = () => new Promise((resolve) => {
+    announce = resolve;
+    scheduler.stop();
+    scheduler.start();
+  });
+  return { runs, settle };
+}
+
+test('refreshes at the lead time, and at once without an expiry', async (t) => {
+  useTempHome('flowkey-schedule-');
+  saveToken('a@x.com', 'token-a');
+  const expiry = new Date(getToken('a@x.com').expiresAt).getTime();
+  const clock = { now: expiry - lead - 1 };
+  const { runs, settle } = expiryScheduler(t, { accounts: ['a@x.com'], clock });
+
+  assert.equal(await settle(), expiry - lead);
+  assert.deepEqual(runs, []);
+
+  clock.now = expiry - lead;
+  assert.equal(await settle(), clock.now + retry);
+  assert.deepEqual(runs, [['a@x.com']]);
+
+  const fresh = expiryScheduler(t, { accounts: ['a@x.com', 'new@x.com'], clock: { now: expiry - lead - 1 } });
+  await fresh.settle();
+  assert.deepEqual(fresh.runs, [['new@x.com']]);
+});
+
+test('waits retryMs after a failed run, then tries again', async (t) => {
+  useTempHome('flowkey-schedule-');
+  // Behind the real clock, so tokens saved by a run count as fresh
+  const clock = { now: Date.now() - 60 * 60 * 1000 };
+  let succeed = false;
+  const { runs, settle } = expiryScheduler(t, {
+    accounts: ['a@x.com'],
+    clock,
+    run: (emails) => {
+      if (!succeed) throw new Error('login_timeout');
+      for (const email of emails) saveToken(email, `token-${email}`);
+    },
+  });
+
+  const started = clock.now;
+  assert.equal(await settle(), started + retry);
+  assert.equal(runs.length, 1);
+
+  clock.now = started + retry;
+  assert.equal(await settle(), started + 2 * retry);
+  assert.equal(runs.length, 2);
+
+  // A fresh token drops the retry delay; the next run is its lead time
+  clock.now = started + 2 * retry;
+  succeed = true;
+  const next = await settle();
+  assert.equal(runs.length, 3);
+  assert.equal(next, new Date(getToken('a@x.com').expiresAt).getTime() - lead);
+});
@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { passwordSource, resolvePassword } from '../src/secrets.js';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome('flowkey-secrets-');
+
+after(() => { delete process.env.FLOWKEY_TEST_PASSWORD; });
+
+test('returns literal passwords as-is and null without a source', async () => {
+  assert.equal(passwordSource({ email: 'a@x.com', password: 'hunter2' }), 'hunter2');
+  assert.equal(await resolvePassword('hunter2'), 'hunter2');
+  assert.equal(passwordSource({ email: 'a@x.com' }), null);
+  assert.equal(await resolvePassword(null), null);
+});
+
+test('reads passwordEnv when resolved, not when the source is built', async () => {
+  delete process.env.FLOWKEY_TEST_PASSWORD;
+  const source = passwordSource({ passwordEnv: 'FLOWKEY_TEST_PASSWORD' });
+  assert.equal(typeof source, 'function');
+  await assert.rejects(resolvePassword(source), /Environment variable FLOWKEY_TEST_PASSWORD is not set/);
+
+  process.env.FLOWKEY_TEST_PASSWORD = 'from env';
+  assert.equal(await resolvePassword(source), 'from env');
+});
+
+test('reads passwordFile without its trailing newline', async () => {
+  const file = join(home, 'password.txt');
+  writeFileSync(file, '  spaced pass \r\n');
+  assert.equal(await resolvePassword(passwordSource({ passwordFile: file })), '  spaced pass ');
+
+  const missing = passwordSource({ passwordFile: join(home, 'nope.txt') });
+  await assert.rejects(resolvePassword(missing), { code: 'ENOENT' });
+});
+
+test('runs passwordCommand only when resolved', async () => {
+  const marker = join(home, 'ran');
+  const source = passwordSource({ passwordCommand: `touch "${marker}" && echo from-command` });
+  assert.equal(existsSync(marker), false);
+  assert.equal(await resolvePassword(source), 'from-command');
+  assert.equal(existsSync(marker), true);
+
+  await assert.rejects(resolvePassword(passwordSource({ passwordCommand: 'true' })), /passwordCommand produced no output/);
+  await assert.rejects(resolvePassword(passwordSource({ passwordCommand: 'exit 3' })), { code: 3 });
+});
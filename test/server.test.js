@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveToken } from '../src/store.js';
+import { startTokenServer } from '../src/server.js';
+import { useTempHome } from './helpers.js';
+
+useTempHome('flowkey-server-');
+
+const key = 'test-server-key';
+const refreshed = [];
+let busy = false;
+let server;
+let base;
+
+before(async () => {
+  saveToken('a@x.com', 'token-a', { credits: 10, tier: 'pro' });
+  server = await startTokenServer({
+    port: 0,
+    key,
+    refresh: async (email) => {
+      refreshed.push(email);
+      if (email === 'broken@x.com') return { email, success: false, error: 'login_required' };
+      saveToken(email, `token-${email}`);
+      return { email, success: true };
+    },
+    isKnownAccount: (email) => email !== 'stranger@x.com',
+    isBusy: () => busy,
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const request = (path, { method = 'GET', auth = key } = {}) =>
+  fetch(base + path, { method, headers: auth ? { Authorization: `Bearer ${auth}` } : {} });
+
+test('only /healthz works without the key', async () => {
+  const health = await request('/healthz', { auth: null });
+  assert.equal(health.status, 200);
+  assert.equal((await health.json()).status, 'ok');
+
+  assert.equal((await request('/tokens', { auth: null })).status, 401);
+  assert.equal((await request('/tokens', { auth: 'wrong-key' })).status, 401);
+  assert.equal((await request('/refresh/a@x.com', { method: 'POST', auth: null })).status, 401);
+  assert.deepEqual(refreshed, []);
+});
+
+test('lists tokens and looks one up by email', async () => {
+  const all = await (await request('/tokens')).json();
+  assert.deepEqual(all.map(t => [t.email, t.token, t.credits, t.tier]), [['a@x.com', 'token-a', 10, 'pro']]);
+
+  const one = await request(`/tokens/${encodeURIComponent('A@X.com')}`);
+  assert.equal(one.status, 200);
+  assert.equal((await one.json()).token, 'token-a');
+
+  const missing = await request('/tokens/nobody@x.com');
+  assert.equal(missing.status, 404);
+  assert.deepEqual(await missing.json(), { error: 'not_found', email: 'nobody@x.com' });
+});
+
+test('refreshes known accounts on demand', async () => {
+  const ok = await request('/refresh/b@x.com', { method: 'POST' });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).token, 'token-b@x.com');
+
+  const failed = await request('/refresh/broken@x.com', { method: 'POST' });
+  assert.equal(failed.status, 502);
+  assert.deepEqual(await failed.json(), { email: 'broken@x.com', success: false, error: 'login_required' });
+
+  assert.equal((await request('/refresh/stranger@x.com', { method: 'POST' })).status, 404);
+  assert.equal((await request('/refresh/b@x.com')).status, 404);
+  assert.deepEqual(refreshed, ['b@x.com', 'broken@x.com']);
+});
+
+test('reports whether a run is in progress', async () => {
+  busy = true;
+  try {
+    assert.equal((await (await request('/healthz', { auth: null })).json()).busy, true);
+  } finally {
+    busy = false;
+  }
+  assert.equal((await (await request('/healthz', { auth: null })).json()).busy, false);
+});
+
+test('answers a malformed escape with 400 and keeps serving', async () => {
+  const bad = await request('/%E0%A4%A');
+  assert.equal(bad.status, 400);
+  assert.deepEqual(await bad.json(), { error: 'bad_request' });
+  assert.equal((await request('/tokens/%E0%A4%A')).status, 400);
+  assert.equal((await request('/healthz', { auth: null })).status, 200);
+});
@@ -0,0 +1,120 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { createSink, publishToSinks, loadOutbox, replayOutbox, purgeOutbox } from '../src/sinks/index.js';
+import { useTempHome } from './helpers.js';
+
+useTempHome('flowkey-sinks-');
+
+const results = [{ email: 'a@x.com', success: true, token: 'token-a', credits: 10, tier: 'pro' }];
+
+// A receiver that records requests and answers with `status`
+const received = [];
+let status = 200;
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/tokens`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  received.length = 0;
+  status = 200;
+  purgeOutbox();
+});
+
+test('rejects a method without a body or an unset header variable up front', () => {
+  delete process.env.FLOWKEY_TEST_MISSING;
+  assert.throws(() => createSink({ type: 'api', url, method: 'GET' }), { code: 'ESINKCONFIG', message: /method: GET/ });
+  assert.throws(() => createSink({ type: 'api', url, method: 'head' }), { code: 'ESINKCONFIG' });
+  assert.throws(() => createSink({ type: 'api', url, headers: { 'X-Key': '${FLOWKEY_TEST_MISSING}' } }),
+    { code: 'ESINKCONFIG', message: /FLOWKEY_TEST_MISSING is not set/ });
+  assert.throws(() => createSink({ type: 'api', url, secretEnv: 'FLOWKEY_TEST_MISSING' }), { code: 'ESINKCONFIG' });
+  assert.equal(createSink({ type: 'api', url, method: 'put' }).name, `api:${url}`);
+});
+
+test('does not queue a delivery that fails on configuration', async () => {
+  process.env.FLOWKEY_TEST_KEY = 'k';
+  const sink = createSink({ type: 'api', url, headers: { 'X-Key': '${FLOWKEY_TEST_KEY}' } });
+  delete process.env.FLOWKEY_TEST_KEY;
+
+  const [outcome] = await publishToSinks([sink], results);
+  assert.equal(outcome.success, false);
+  assert.match(outcome.error, /FLOWKEY_TEST_KEY is not set/);
+  assert.deepEqual(loadOutbox(), []);
+  assert.equal(received.length, 0);
+});
+
+test('signs the body with the submit secret', async () => {
+  process.env.FLOWKEY_SUBMIT_SECRET = 'shh';
+  try {
+    await publishToSinks([createSink({ type: 'api', url })], results);
+  } finally {
+    delete process.env.FLOWKEY_SUBMIT_SECRET;
+  }
+
+  const [{ headers, body }] = received;
+  const timestamp = headers['x-flowkey-timestamp'];
+  assert.match(timestamp, /^\d+$/);
+  const digest = createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(headers['x-flowkey-signature'], `t=${timestamp},v1=${digest}`);
+  assert.equal(JSON.parse(body)[0].token, 'token-a');
+});
+
+test('queues a failed delivery and replays it from the outbox', async () => {
+  status = 503;
+  const [outcome] = await publishToSinks([createSink({ type: 'api', url })], results);
+  assert.deepEqual(outcome, { sink: `api:${url}`, success: false, status: 503 });
+
+  const [entry] = loadOutbox();
+  assert.equal(entry.op, 'publish');
+  assert.equal(entry.lastError, 'status 503');
+  assert.deepEqual(entry.payload.map(r => r.email), ['a@x.com']);
+
+  // Not due yet, then forced while the receiver still fails
+  assert.deepEqual(await replayOutbox(), { delivered: 0, failed: 0 });
+  assert.deepEqual(await replayOutbox({ force: true }), { delivered: 0, failed: 1 });
+  assert.equal(loadOutbox()[0].attempts, 2);
+
+  status = 200;
+  assert.deepEqual(await replayOutbox({ force: true }), { delivered: 1, failed: 0 });
+  assert.deepEqual(loadOutbox(), []);
+  assert.equal(received.length, 3);
+  assert.equal(JSON.parse(received.at(-1).body)[0].token, 'token-a');
+});
+
+test('queues failed results with the batch and supersedes them with newer ones', async () => {
+  const batch = [...results, { email: 'b@x.com', success: false, error: 'login_required' }];
+  const sink = createSink({ type: 'api', url });
+  status = 503;
+  await publishToSinks([sink], batch);
+  assert.deepEqual(loadOutbox()[0].payload, batch);
+
+  status = 200;
+  assert.deepEqual(await replayOutbox({ force: true }), { delivered: 1, failed: 0 });
+  // The API sink itself only sends successful results
+  assert.deepEqual(JSON.parse(received.at(-1).body).map(r => r.email), ['a@x.com']);
+
+  // A newer failure for b@x.com replaces its queued result but keeps a@x.com's
+  status = 503;
+  await publishToSinks([sink], batch);
+  status = 200;
+  await publishToSinks([sink], [{ email: 'b@x.com', success: false, error: 'token_timeout' }]);
+  assert.deepEqual(loadOutbox()[0].payload.map(r => r.email), ['a@x.com']);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStatus, filterStatus, sortStatus, statusRecords, STATUS_COLUMNS } from '../src/status.js';
+import { toCsv } from '../src/csv.js';
+
+const now = new Date('2026-01-10T12:00:00Z');
+const hoursAgo = (h) => new Date(now - h * 60 * 60 * 1000).toISOString();
+
+const rows = buildStatus({
+  accounts: [
+    { email: 'A@x.com', labels: ['prod'] },
+    { email: 'b@x.com', labels: ['prod', 'eu'] },
+    { email: 'c@x.com' },
+    { email: 'd@x.com', enabled: false },
+  ],
+  tokens: {
+    'a@x.com': { token: 'ya29.a', credits: 880, tier: 'PRO', updatedAt: hoursAgo(2), expiresAt: hoursAgo(1) },
+    'b@x.com': { token: 'ya29.b', credits: 40, updatedAt: hoursAgo(30), expiresAt: hoursAgo(29) },
+    'e@x.com': { token: 'ya29.e', credits: 5, updatedAt: hoursAgo(1), expiresAt: hoursAgo(0) },
+  },
+  attention: { 'c@x.com': { reason: 'login_required' } },
+  history: [
+    { at: hoursAgo(30), email: 'b@x.com', outcome: 'success', error: null },
+    { at: hoursAgo(5), email: 'b@x.com', outcome: 'failure', error: 'token_timeout' },
+    { at: hoursAgo(3), email: 'b@x.com', outcome: 'failure', error: 'navigation_failed' },
+    { at: hoursAgo(2), email: 'a@x.com', outcome: 'success', error: null },
+    { at: hoursAgo(1), email: 'c@x.com', outcome: 'failure', error: 'login_required' },
+  ],
+  hasProfile: (email) => email !== 'd@x.com',
+  now,
+});
+
+test('joins accounts, tokens, history and the attention queue', () => {
+  assert.deepEqual(rows.map(r => [r.email, r.status]), [
+    ['a@x.com', 'ok'],
+    ['b@x.com', 'failing'],
+    ['c@x.com', 'attention'],
+    ['d@x.com', 'disabled'],
+    ['e@x.com', 'ok'],
+  ]);
+  const b = rows[1];
+  assert.equal(b.ageMs, 30 * 60 * 60 * 1000);
+  assert.equal(b.lastError, 'navigation_failed');
+  assert.equal(b.failureStreak, 2);
+  assert.equal(rows[3].profile, false);
+  assert.equal(rows[4].configured, false);
+  assert.ok(rows.every(r => !('token' in r)));
+});
+
+test('filters by group, failure and token age', () => {
+  assert.deepEqual(filterStatus(rows, { group: 'prod' }).map(r => r.email), ['a@x.com', 'b@x.com']);
+  assert.deepEqual(filterStatus(rows, { failed: true }).map(r => r.email), ['b@x.com', 'c@x.com']);
+  assert.deepEqual(filterStatus(rows, { olderThanMs: 12 * 60 * 60 * 1000 }).map(r => r.email), ['b@x.com', 'c@x.com', 'd@x.com']);
+});
+
+test('sorts with missing values last', () => {
+  assert.deepEqual(sortStatus(rows, 'credits').map(r => r.email), ['e@x.com', 'b@x.com', 'a@x.com', 'c@x.com', 'd@x.com']);
+  assert.deepEqual(sortStatus(rows, 'credits', { reverse: true }).map(r => r.email), ['a@x.com', 'b@x.com', 'e@x.com', 'c@x.com', 'd@x.com']);
+  assert.deepEqual(sortStatus(rows, 'status').map(r => r.status), ['attention', 'failing', 'ok', 'ok', 'disabled']);
+  assert.throws(() => sortStatus(rows, 'size'), /Invalid --sort/);
+});
+
+test('flattens labels for CSV', () => {
+  const csv = toCsv(STATUS_COLUMNS, statusRecords(rows)).split('\n');
+  assert.equal(csv[0], STATUS_COLUMNS.join(','));
+  assert.match(csv[2], /^b@x\.com,failing,true,prod;eu,true,true,/);
+});
@@ -0,0 +1,118 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { STORE_DB_FILE, TOKENS_FILE, HISTORY_FILE } from '../src/paths.js';
+import {
+  saveToken,
+  getToken,
+  listProfiles,
+  removeProfile,
+  appendHistory,
+  loadHistory,
+  storeType,
+  migrateStore,
+  withTokensResealed,
+  closeStore,
+  saveTokens,
+  isStale,
+} from '../src/store.js';
+import { createSqliteStore, isSqliteAvailable } from '../src/stores/sqlite.js';
+import { initVault, lockVault } from '../src/vault.js';
+import { useTempHome } from './helpers.js';
+
+const skip = isSqliteAvailable() ? false : 'better-sqlite3 is not installed';
+const useHome = () => useTempHome('flowkey-store-');
+
+after(() => {
+  closeStore();
+  lockVault();
+});
+
+function seed() {
+  saveToken('A@x.com', 'token-a', { credits: 10, tier: 'pro' });
+  saveToken('b@x.com', 'token-b');
+  appendHistory({ email: 'a@x.com', success: true, credits: 10, tier: 'pro' });
+  appendHistory({ email: 'b@x.com', success: false, error: 'token_timeout' });
+}
+
+test('keeps tokens in tokens.json by default', () => {
+  useHome();
+  seed();
+  assert.equal(storeType(), 'json');
+  assert.equal(JSON.parse(readFileSync(TOKENS_FILE, 'utf-8'))['a@x.com'].token, 'token-a');
+  assert.equal(loadHistory('b@x.com')[0].error, 'token_timeout');
+});
+
+test('treats a token as stale within the lead time or without an expiry', () => {
+  useHome();
+  saveToken('a@x.com', 'token-a');
+  const expiry = new Date(getToken('a@x.com').expiresAt).getTime();
+  const lead = 10 * 60 * 1000;
+  assert.equal(isStale('a@x.com', lead, new Date(expiry - lead - 1)), false);
+  assert.equal(isStale('a@x.com', lead, new Date(expiry - lead)), true);
+  assert.equal(isStale('a@x.com', lead, new Date(expiry + 1)), true);
+
+  // Entries from before expiresAt was recorded last an hour from updatedAt
+  saveTokens({
+    'old@x.com': { token: 'token-old', updatedAt: '2026-01-01T00:00:00.000Z' },
+    'bare@x.com': { token: 'token-bare' },
+  });
+  assert.equal(isStale('old@x.com', lead, new Date('2026-01-01T00:49:59.999Z')), false);
+  assert.equal(isStale('old@x.com', lead, new Date('2026-01-01T00:50:00.000Z')), true);
+  assert.equal(isStale('bare@x.com', lead), true);
+  assert.equal(isStale('nobody@x.com', lead), true);
+});
+
+test('migrates to sqlite and back without losing tokens or history', { skip }, () => {
+  const home = useHome();
+  seed();
+  const before = { profiles: listProfiles(), history: loadHistory() };
+
+  const migrated = migrateStore('sqlite');
+  assert.deepEqual([migrated.tokens, migrated.history], [2, 2]);
+  assert.equal(storeType(), 'sqlite');
+  assert.ok(existsSync(STORE_DB_FILE));
+  assert.equal(existsSync(TOKENS_FILE), false);
+  assert.deepEqual(migrated.removed, [TOKENS_FILE, HISTORY_FILE]);
+  assert.deepEqual(readdirSync(home).filter(name => name.includes('.migrated-')), []);
+  assert.deepEqual(listProfiles(), before.profiles);
+  assert.deepEqual(loadHistory(), before.history);
+
+  saveToken('c@x.com', 'token-c', { credits: 3 });
+  appendHistory({ email: 'c@x.com', success: true, credits: 3 });
+  removeProfile('b@x.com');
+  assert.equal(getToken('c@x.com').credits, 3);
+  assert.equal(getToken('b@x.com'), undefined);
+  assert.equal(loadHistory('c@x.com').length, 1);
+  assert.throws(() => migrateStore('sqlite'), /already sqlite/);
+
+  migrateStore('json');
+  assert.equal(storeType(), 'json');
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(TOKENS_FILE, 'utf-8'))).sort(), ['a@x.com', 'c@x.com']);
+  assert.equal(loadHistory().length, 3);
+  assert.equal(existsSync(STORE_DB_FILE), false);
+  assert.deepEqual(readdirSync(home).filter(name => name.startsWith('store.db')), []);
+});
+
+test('refuses to migrate into a store that already holds data', { skip }, () => {
+  useHome();
+  seed();
+  const stray = createSqliteStore();
+  stray.put('stray@x.com', { token: 'left-over' });
+  stray.close();
+
+  assert.throws(() => migrateStore('sqlite'), /already holds data/);
+  assert.equal(storeType(), 'json');
+  assert.equal(getToken('a@x.com').token, 'token-a');
+});
+
+test('encrypts the token column when the vault is enabled', { skip }, () => {
+  useHome();
+  seed();
+  migrateStore('sqlite');
+  withTokensResealed(() => initVault([], { passphrase: 'correct horse' }));
+  closeStore();
+  assert.doesNotMatch(readFileSync(STORE_DB_FILE).toString('latin1'), /token-a/);
+  assert.equal(getToken('a@x.com').token, 'token-a');
+  lockVault();
+});
@@ -0,0 +1,132 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ACCOUNTS_FILE, TOKENS_FILE, SECRET_FILES, VAULT_FILE } from '../src/paths.js';
+import {
+  initVault,
+  rotateVaultKey,
+  unlockVault,
+  lockVault,
+  isVaultUnlocked,
+  readDataFile,
+  writeDataFile,
+  sealText,
+  openText,
+  PASSPHRASE_ENV,
+  KEYFILE_ENV,
+} from '../src/vault.js';
+import { useTempHome } from './helpers.js';
+
+const script = fileURLToPath(new URL('../get-flow-token.js', import.meta.url));
+const accounts = JSON.stringify([{ email: 'a@x.com', password: 'hunter2' }]);
+const tokens = JSON.stringify({ 'a@x.com': { token: 'ya29.secret' } });
+
+// A fresh home with plaintext accounts.json and tokens.json, and no vault
+// secret in the environment
+function useVaultHome() {
+  lockVault();
+  delete process.env[PASSPHRASE_ENV];
+  delete process.env[KEYFILE_ENV];
+  const home = useTempHome('flowkey-vault-');
+  writeFileSync(ACCOUNTS_FILE, accounts);
+  writeFileSync(TOKENS_FILE, tokens);
+  return home;
+}
+
+after(() => {
+  lockVault();
+  delete process.env[PASSPHRASE_ENV];
+  delete process.env[KEYFILE_ENV];
+});
+
+test('encrypts files at rest and reads them back', () => {
+  useVaultHome();
+  const migrated = initVault(SECRET_FILES, { passphrase: 'correct horse' });
+  assert.deepEqual(migrated, [ACCOUNTS_FILE, TOKENS_FILE]);
+  assert.doesNotMatch(readFileSync(ACCOUNTS_FILE, 'utf-8'), /hunter2/);
+  assert.doesNotMatch(readFileSync(TOKENS_FILE, 'utf-8'), /ya29/);
+  assert.equal(readDataFile(ACCOUNTS_FILE), accounts);
+
+  writeDataFile(TOKENS_FILE, '{}');
+  assert.doesNotMatch(readFileSync(TOKENS_FILE, 'utf-8'), /^\{\}$/);
+  assert.equal(readDataFile(TOKENS_FILE), '{}');
+
+  const sealed = sealText('ya29.column');
+  assert.notEqual(sealed, 'ya29.column');
+  assert.equal(openText(sealed), 'ya29.column');
+  assert.equal(openText('not sealed'), 'not sealed');
+});
+
+test('rejects a wrong passphrase and stays locked', () => {
+  useVaultHome();
+  initVault(SECRET_FILES, { passphrase: 'correct horse' });
+  lockVault();
+  assert.throws(() => unlockVault({ passphrase: 'wrong' }), /wrong passphrase or keyfile/);
+  assert.equal(isVaultUnlocked(), false);
+  assert.throws(() => unlockVault(), /Vault is locked/);
+
+  process.env[PASSPHRASE_ENV] = 'correct horse';
+  assert.equal(unlockVault(), true);
+  assert.equal(readDataFile(TOKENS_FILE), tokens);
+});
+
+test('unlocks with a keyfile', () => {
+  const home = useVaultHome();
+  const keyFile = join(home, 'vault.key');
+  writeFileSync(keyFile, 'random key material');
+  initVault(SECRET_FILES, { keyFile });
+  lockVault();
+
+  process.env[KEYFILE_ENV] = keyFile;
+  unlockVault();
+  assert.equal(readDataFile(ACCOUNTS_FILE), accounts);
+  lockVault();
+  assert.throws(() => unlockVault({ passphrase: 'random key material\n' }), /wrong passphrase/);
+});
+
+test('rotation leaves every file readable under the new secret only', () => {
+  useVaultHome();
+  initVault(SECRET_FILES, { passphrase: 'old' });
+  const rotated = rotateVaultKey(SECRET_FILES, { passphrase: 'new' });
+  assert.deepEqual(rotated, [ACCOUNTS_FILE, TOKENS_FILE]);
+  assert.equal(SECRET_FILES.some(f => existsSync(`${f}.vault-pending`)), false);
+
+  lockVault();
+  assert.throws(() => unlockVault({ passphrase: 'old' }), /wrong passphrase/);
+  unlockVault({ passphrase: 'new' });
+  assert.equal(readDataFile(ACCOUNTS_FILE), accounts);
+  assert.equal(readDataFile(TOKENS_FILE), tokens);
+});
+
+test('finishes a rekey interrupted after vault.json was written', () => {
+  useVaultHome();
+  initVault(SECRET_FILES, { passphrase: 'correct horse' });
+  // As left by a crash: one file still pending under the current key, and
+  // one from an attempt that never committed
+  writeFileSync(`${TOKENS_FILE}.vault-pending`, sealText('{"fresh":true}'));
+  writeFileSync(`${ACCOUNTS_FILE}.vault-pending`, '{"flowkeyVault":1,"iv":"","tag":"","data":""}');
+  lockVault();
+
+  unlockVault({ passphrase: 'correct horse' });
+  assert.equal(readDataFile(TOKENS_FILE), '{"fresh":true}');
+  assert.equal(readDataFile(ACCOUNTS_FILE), accounts);
+  assert.equal(SECRET_FILES.some(f => existsSync(`${f}.vault-pending`)), false);
+});
+
+test('--vault-init refuses when the vault already exists', () => {
+  const home = useVaultHome();
+  initVault(SECRET_FILES, { passphrase: 'correct horse' });
+  const meta = readFileSync(VAULT_FILE, 'utf-8');
+
+  const run = spawnSync(process.execPath, [script, '--home', home, '--vault-init'], {
+    env: { ...process.env, [PASSPHRASE_ENV]: 'another' },
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  assert.equal(run.status, 1);
+  assert.match(run.stdout, /Vault init failed: Vault already exists/);
+  assert.equal(readFileSync(VAULT_FILE, 'utf-8'), meta);
+});